@@ -1,11 +1,19 @@
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const xlsx = require('xlsx');
 const axios = require('axios');
 const https = require('https');
 const pLimitModule = require('p-limit');
 const pLimit = pLimitModule.default || pLimitModule;
+const { parseArgs } = require('./cli');
+const { loadConfig, resolveCredentials, resolveCompanyListPath } = require('./config');
+const { getAuthProvider, applyAuth } = require('./auth');
+const { formatCsv, INVOICE_CSV_COLUMNS } = require('./csv');
+const { createODataClient } = require('./odataClient');
+const { resolvePerformance, resolveODataRateLimits } = require('./performance');
+const stages = require('./fetchStages');
+const { resolveValidationRules, validateRecords } = require('./recordValidation');
+const { buildCompanyFilter, applyCompanyFilter, describeCompanyFilter } = require('./companyFilter');
 
 // Load configuration
 const isPkg = typeof process.pkg !== 'undefined';
@@ -15,7 +23,11 @@ const baseDir = isPkg
     // in dev, resolve to project root
     : path.join(__dirname, '..');
 
+// step1..step4 / combined.json dumps (DEBUG_DIR overrides the folder)
+const DEBUG_DIR = process.env.DEBUG_DIR || path.join(baseDir, 'debug');
+
 // ---------- Speed: shared axios client with KeepÃ¢â‚¬'Alive ----------
+// defaults; main() applies config.performance (maxSockets, httpTimeoutMs)
 const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 40 });
 const http = axios.create({
   timeout: 30000,
@@ -23,490 +35,174 @@ const http = axios.create({
   headers: { Prefer: 'odata.maxpagesize=500' } // harmless on V2, helpful on V4
 });
 
-// ---------- Concurrency pools (tune as needed) ----------
-const soItemLimit = pLimit(12);
-const acctLimit   = pLimit(12);
-const flagLimit   = pLimit(12);
-
-// Fetch all records from a paginated API endpoint
-async function fetchAllRecords(baseUrl, auth, params) {
-    const all = [];
-
-    // first page
-    let resp = await http.get(baseUrl, { auth, params });
-    let data = resp.data;
-    if (Array.isArray(data.value)) all.push(...data.value);
-
-    // V4 next link
-    let nextLink = data['@odata.nextLink'];
-
-    // V2 fallback
-    if (!nextLink && data?.d?.__next) {
-      nextLink = data.d.__next;
-      if (Array.isArray(data.d?.results)) all.push(...data.d.results);
+// Per-company counts for the run report; step1..step4 count the same entries as the debug step files
+function createFetchStats(rows) {
+    const companies = {};
+    const entry = code => (companies[code] = companies[code] || { step1: 0, step2: 0, step3: 0, step4: 0, filtered: {} });
+    for (const row of rows) {
+        if (row.CompanyCode) entry(row.CompanyCode).scenario = row.Scenario === 'B' ? 'B' : 'normal';
     }
-
-    // follow next links (V4 or V2)
-    while (nextLink) {
-        const pageUrl = new URL(nextLink, baseUrl).href;
-        resp = await http.get(pageUrl, { auth });
-        data = resp.data;
-
-        if (Array.isArray(data.value)) {
-          all.push(...data.value);
-          nextLink = data['@odata.nextLink'];
-        } else if (Array.isArray(data?.d?.results)) {
-          all.push(...data.d.results);
-          nextLink = data.d.__next || null;
-        } else {
-          nextLink = null;
+    return {
+        companies,
+        count(step, entries) {
+            for (const e of entries) entry(e.CompanyCode)[step]++;
+        },
+        exclude(record, reason) {
+            const filtered = entry(record.CompanyCode).filtered;
+            filtered[reason] = (filtered[reason] || 0) + 1;
         }
+    };
+}
+
+function saveDebugStep(fileName, data, unit = 'records') {
+    fs.writeFileSync(path.join(DEBUG_DIR, fileName), JSON.stringify(data, null, 2), 'utf8');
+    console.log(`Saved ${fileName} with ${data.length} ${unit}`);
+}
+
+// Records failing config.validation are collected in `rejected` (for the rejected CSVs) before
+// the Flag lookup, so a missing AccountingDocument is reported instead of silently filtered
+function rejectInvalid(ctx, records, stats, rejected) {
+    const { valid, rejected: invalid } = validateRecords(records, resolveValidationRules(ctx.config), stages.toCsvRow);
+    for (const { record, reasons } of invalid) {
+        console.warn(`Rejected SalesOrder ${record.SalesOrder} item ${record.SalesOrderItem?.SalesOrderItem} (${record.CompanyCode}): ${reasons.join('; ')}`);
+        stats.exclude(record, 'invalid');
     }
-    return all;
+    rejected.push(...invalid);
+    return valid;
 }
 
 // Process company codes with scenario B
-async function processScenarioB(companyCodeRows, config, auth, companyCodeConfigMap) {
+async function processScenarioB(ctx, companyCodeRows, companyCodeConfigMap, stats, rejected) {
     console.log(`Processing ${companyCodeRows.length} company codes with Scenario B`);
-    
-    const {
-        ScenarioB: scenarioBUrlPath,
-        GetSalesOrderB: getSalesOrderBUrlPath,
-        FilterSalesOrderItem: itemUrlPath,
-        Flag: flagUrlPath
-    } = config.cpi.endpoints;
-
-    const { hostname } = auth.credentials;
-    const scenarioBUrl = hostname + scenarioBUrlPath;
-    const getSalesOrderBUrl = hostname + getSalesOrderBUrlPath;
-    const itemUrl = hostname + itemUrlPath;
-    const flagUrl = hostname + flagUrlPath;
-    
-    // Create debug folder
-    const debugFolder = path.join(baseDir, 'debug');
-    fs.mkdirSync(debugFolder, { recursive: true });
-    
+
     // Collect data for each step
     const step1Data = [];
     const step2Data = [];
     const scenarioBResults = [];
-    
+
     for (const row of companyCodeRows) {
         const { CompanyCode } = row;
         console.log(`Processing Scenario B for CompanyCode: ${CompanyCode}`);
-        
+
         try {
-            // Step 1: Call ScenarioB URL with filters
-            const scenarioBResp = await http.get(scenarioBUrl, {
-                auth: auth.auth,
-                params: {
-                    $filter: `SalesOrganization eq '${CompanyCode}' and YY1_PrepaymentScenario_BDH eq 'B' and InvoiceClearingStatus eq 'C'`,
-                    $select: 'InvoiceClearingStatus,BillingDocument,YY1_PrepaymentScenario_BDH'
-                }
-            });
-            
-            const scenarioBRecords = scenarioBResp.data?.d?.results || [];
-            step1Data.push(...scenarioBRecords.map(record => ({ ...record, CompanyCode })));
-            console.log(`Found ${scenarioBRecords.length} records from ScenarioB API for CompanyCode: ${CompanyCode}`);
-            
-            // Step 2: For each BillingDocument, call GetSalesOrderB URL
-            const getSalesOrderBResults = await Promise.all(
-                scenarioBRecords.map(record =>
-                    flagLimit(async () => {
-                        const { BillingDocument } = record;
-                        if (!BillingDocument) return null;
-                        
-                        try {
-                            const getSalesOrderBResp = await http.get(getSalesOrderBUrl, {
-                                auth: auth.auth,
-                                params: {
-                                    $filter: `ReferenceDocument eq '${BillingDocument}'`,
-                                    $select: 'AccountingDocument,FiscalYear,SalesDocument,SalesDocumentItem'
-                                }
-                            });
-                            
-                            const getSalesOrderBRecords = getSalesOrderBResp.data?.d?.results || [];
-
-                            const validRecords = getSalesOrderBRecords.filter(fr => 
-                                fr.SalesDocument && fr.SalesDocument.trim() !== ''
-                            );
-
-                            return validRecords.map(fr => ({
-                                CompanyCode,
-                                BillingDocument,
-                                AccountingDocument: fr.AccountingDocument,
-                                FiscalYear: fr.FiscalYear,
-                                SalesDocument: fr.SalesDocument,
-                                SalesDocumentItem: fr.SalesDocumentItem
-                            }));
-                            
-                        } catch (error) {
-                            console.error(`Error processing BillingDocument ${BillingDocument} for CompanyCode ${CompanyCode}:`, error.message);
-                            return null;
-                        }
-                    })
-                )
-            );
-            
-            // Flatten results and filter out nulls
-            const flatResults = getSalesOrderBResults.filter(Boolean).flat();
-            step2Data.push(...flatResults);
-            
-            // Step 3: For each unique SalesOrder, get YY1_SALESFORCEID_I_SDI from items
-            const uniqueSalesOrders = [...new Set(flatResults.map(r => r.SalesDocument))];
-            const salesOrderItemsMap = new Map();
-            
-            await Promise.all(
-                uniqueSalesOrders.map(so =>
-                    soItemLimit(async () => {
-                        if (!so) return;
-                        
-                        try {
-                            const itemResp = await http.get(itemUrl, {
-                                auth: auth.auth,
-                                params: {
-                                    $filter: `SalesOrder eq '${so}'`,
-                                    $select: 'SalesOrderItem,YY1_SALESFORCEID_I_SDI'
-                                }
-                            });
-
-                            const itemRecords = itemResp.data?.value || [];
-                            
-                            // Create a map of SalesOrderItem -> YY1_SALESFORCEID_I_SDI for this SO
-                            const itemMap = {};
-                            itemRecords.forEach(item => {
-                                if (item.SalesOrderItem && item.YY1_SALESFORCEID_I_SDI) {
-                                    itemMap[item.SalesOrderItem] = item.YY1_SALESFORCEID_I_SDI;
-                                }
-                            });
-                            
-                            salesOrderItemsMap.set(so, itemMap);
-                            
-                        } catch (error) {
-                            console.error(`Error getting items for SalesOrder ${so}:`, error.message);
-                        }
-                    })
-                )
-            );
-            
-            // Transform to final format with YY1_SALESFORCEID_I_SDI
-            const transformedResults = flatResults.map(result => {
-                const itemMap = salesOrderItemsMap.get(result.SalesDocument);
-                const salesforceId = itemMap ? itemMap[result.SalesDocumentItem] : null;
-                
-                return {
-                    CompanyCode: result.CompanyCode,
-                    SalesOrder: result.SalesDocument,
-                    Customer: null, // Will be populated in future API calls
-                    SalesOrderItem: {
-                        SalesOrderItem: result.SalesDocumentItem,
-                        YY1_SALESFORCEID_I_SDI: salesforceId
-                    },
-                    AccountingDocument: result.AccountingDocument,
-                    FiscalYear: result.FiscalYear,
-                    OriginalBillingDocument: result.BillingDocument // Keep track of original billing document
-                };
-            });
-            
+            // Step 1: cleared Scenario B billing documents
+            const billingDocuments = await stages.fetchScenarioBBillingDocuments(ctx, CompanyCode);
+            step1Data.push(...billingDocuments);
+            console.log(`Found ${billingDocuments.length} records from ScenarioB API for CompanyCode: ${CompanyCode}`);
+
+            // Step 2: accounting documents and sales order items per BillingDocument
+            const documents = await stages.resolveScenarioBDocuments(ctx, CompanyCode, billingDocuments);
+            step2Data.push(...documents);
+
+            // Step 3: YY1_SALESFORCEID_I_SDI from the items and the customer (SoldToParty) from the header
+            const details = await stages.fetchSalesOrderDetails(ctx, documents.map(r => r.SalesDocument));
+            const transformedResults = stages.buildScenarioBRecords(documents, details);
             scenarioBResults.push(...transformedResults);
-            
+
             console.log(`Processed ${transformedResults.length} records for CompanyCode: ${CompanyCode}`);
-            
+
         } catch (error) {
             console.error(`Error processing Scenario B for CompanyCode ${CompanyCode}:`, error.message);
         }
     }
-    
-    // Save Step 1: ScenarioB URL results
-    fs.writeFileSync(
-        path.join(debugFolder, 'step1_B.json'),
-        JSON.stringify(step1Data, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step1_B.json with ${step1Data.length} records`);
-    
-    // Save Step 2: GetSalesOrderB URL results
-    fs.writeFileSync(
-        path.join(debugFolder, 'step2_B.json'),
-        JSON.stringify(step2Data, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step2_B.json with ${step2Data.length} records`);
-    
-    // Save Step 3: After itemUrl calls (with YY1_SALESFORCEID_I_SDI)
-    fs.writeFileSync(
-        path.join(debugFolder, 'step3_B.json'),
-        JSON.stringify(scenarioBResults, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step3_B.json with ${scenarioBResults.length} records`);
-    
-    // --------- Apply flag filtering to Scenario B results ----------
-    const disallowedStatuses = ["Paid", "Sent", "Error"];
-    const flaggedScenarioBResults = await Promise.all(
-        scenarioBResults.map(r =>
-            flagLimit(async () => {
-                if (!r.AccountingDocument) return null;
-
-                try {
-                    const resp = await http.get(flagUrl, {
-                        auth: auth.auth,
-                        params: {
-                            $filter: `AccountingDocument eq '${r.AccountingDocument}' and CompanyCode eq '${r.CompanyCode}'`
-                        }
-                    });
-
-                    const fr = resp.data?.d?.results?.[0] || {};
-                    const isDisallowedStatus = disallowedStatuses.includes(fr.Statuscode);
-                    
-                    // Get CheckFlagNA setting for this company code
-                    const companyConfig = companyCodeConfigMap.get(r.CompanyCode);
-                    const checkFlagNA = companyConfig?.CheckFlagNA === 'Yes';
-                    
-                    // Original flag check logic
-                    let isAnyFlagYes = fr.FlagSFUpdated === 'Yes' || fr.FlagInvoiceSent === 'Yes';
-                    
-                    // If CheckFlagNA is 'Yes' for this company code, also check for 'NA' values
-                    if (checkFlagNA) {
-                        isAnyFlagYes = isAnyFlagYes || fr.FlagSFUpdated === 'NA' || fr.FlagInvoiceSent === 'NA';
-                    }
-                    
-                    const exclude = isDisallowedStatus || isAnyFlagYes;
-
-                    return exclude ? null : r;
-                } catch (error) {
-                    console.error(`Error checking flags for AccountingDocument ${r.AccountingDocument} in CompanyCode ${r.CompanyCode}:`, error.message);
-                    return null;
-                }
-            })
-        )
-    );
-    
-    const filteredScenarioBResults = flaggedScenarioBResults.filter(Boolean);
-    
-    // Save Step 4: After flag filtering
-    fs.writeFileSync(
-        path.join(debugFolder, 'step4_B.json'),
-        JSON.stringify(filteredScenarioBResults, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step4_B.json with ${filteredScenarioBResults.length} records`);
-    
+
+    saveDebugStep('step1_B.json', step1Data);
+    stats.count('step1', step1Data);
+    saveDebugStep('step2_B.json', step2Data);
+    stats.count('step2', step2Data);
+    saveDebugStep('step3_B.json', scenarioBResults);
+    stats.count('step3', scenarioBResults);
+
+    const validScenarioBResults = rejectInvalid(ctx, scenarioBResults, stats, rejected);
+
+    // lookup errors exclude the affected records instead of failing the whole run
+    const filteredScenarioBResults = await stages.applyFlagFilter(ctx, validScenarioBResults, companyCodeConfigMap, { tolerateErrors: true, onExclude: stats.exclude });
+    saveDebugStep('step4_B.json', filteredScenarioBResults);
+    stats.count('step4', filteredScenarioBResults);
+
     console.log(`Total Scenario B results after flag filtering: ${filteredScenarioBResults.length}`);
     return filteredScenarioBResults;
 }
 
 // Normal processing for non-B scenarios
-async function processNormalScenario(companyCodeRows, config, auth, companyCodeConfigMap) {
-    const {
-        FilterSalesOrderHeader: headerUrlPath,
-        FilterSalesOrderItem: itemUrlPath,
-        GetAccountingDocument: acctUrlPath,
-        Flag: flagUrlPath
-    } = config.cpi.endpoints;
-
-    const { hostname } = auth.credentials;
-    const headerUrl = hostname + headerUrlPath;
-    const itemUrl = hostname + itemUrlPath;
-    const acctUrl = hostname + acctUrlPath;
-    const flagUrl = hostname + flagUrlPath;
-
-    // Create debug folder
-    const debugFolder = path.join(baseDir, 'debug');
-    fs.mkdirSync(debugFolder, { recursive: true });
-
-    const filterOutSO = Array.isArray(config.filteroutSO)
-        ? config.filteroutSO.map(String)
-        : [];
-
+async function processNormalScenario(ctx, companyCodeRows, companyCodeConfigMap, stats, rejected) {
     // Collect data for each step
     const step1Data = [];
     const finalList = [];
-    
+
     // Get SO for each CompanyCode
     for (const row of companyCodeRows) {
         const { CompanyCode } = row;
         console.log(`Processing Normal Scenario for CompanyCode: ${CompanyCode}`);
         if (!CompanyCode) continue;
 
-        const headers = await fetchAllRecords(headerUrl, auth.auth, { $filter: `SalesOrganization eq '${CompanyCode}'` });
+        const headers = await stages.fetchSalesOrderHeaders(ctx, CompanyCode);
         step1Data.push(...headers.map(h => ({ ...h, CompanyCode })));
-        
-        const validHeaders = headers.filter(r =>
-            r?.YY1_PrepaymentScenario_SDH?.toString().trim() &&
-            r?.SalesOrder &&
-            !filterOutSO.includes(String(r.SalesOrder))
-        );
-
-        // --------- Bounded parallel fetch of items per SO ----------
-        const rawItemDetails = [];
-        await Promise.all(
-          validHeaders.map(h =>
-            soItemLimit(async () => {
-              const so = h.SalesOrder;
-              const customer = h.SoldToParty;
-
-              const items = await fetchAllRecords(itemUrl, auth.auth, { $filter: `SalesOrder eq '${so}'` });
-              rawItemDetails.push({ CompanyCode, SalesOrder: so, RawItems: items });
-
-              const list = items
-                .filter(it => it.SlsOrderItemDownPaymentStatus === 'D')
-                .map(it => ({ SalesOrderItem: it.SalesOrderItem, YY1_SALESFORCEID_I_SDI: it.YY1_SALESFORCEID_I_SDI }))
-                .filter(Boolean);
-
-              if (list.length) {
-                finalList.push({ CompanyCode, SalesOrder: so, Customer: customer, SalesOrderItems: list });
-              }
-            })
-          )
-        );
+
+        const validHeaders = stages.selectPrepaymentHeaders(headers, ctx.config);
+        finalList.push(...await stages.fetchDownPaymentItems(ctx, CompanyCode, validHeaders));
     }
 
-    // Save Step 1: Header URL results
-    fs.writeFileSync(
-        path.join(debugFolder, 'step1_notB.json'),
-        JSON.stringify(step1Data, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step1_notB.json with ${step1Data.length} records`);
-
-    // Save Step 2: Item URL results (filtered items with status 'D')
-    fs.writeFileSync(
-        path.join(debugFolder, 'step2_notB.json'),
-        JSON.stringify(finalList, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step2_notB.json with ${finalList.length} sales orders`);
-
-    // --------- Bounded parallel: Get Accounting Document ----------
-    const processedResults = await Promise.all(
-      finalList.flatMap(({ CompanyCode, SalesOrder, Customer, SalesOrderItems }) =>
-        SalesOrderItems.map(item =>
-          acctLimit(async () => {
-            const resp = await http.get(acctUrl, {
-                auth: auth.auth,
-                params: {
-                    $filter: `SalesDocument eq '${SalesOrder}' and SalesDocumentItem eq '${item.SalesOrderItem}'`,
-                    $select: 'AccountingDocument,AccountingDocumentItem,AmountInTransactionCurrency'
-                }
-            });
-            const results = resp.data?.d?.results || [];
-
-            if (results.length !== 2) {
-              console.warn(`Expected 2 items but got ${results.length} for SalesOrder: ${SalesOrder}, Item: ${item.SalesOrderItem}`);
-            }
-            
-            //Change in logic, instead of using the one with Accounting Document Item = 2,
-            //Nikhil decide that we take the AmountInTransactionCurrency <0
-            const rec = results.find(r => r.AmountInTransactionCurrency < 0);
-            
-            const totalAmount = results.reduce((sum, r) => sum + (r.AmountInTransactionCurrency || 0), 0);
-            if (Math.abs(totalAmount) > 0.01) { // Using small threshold for floating point comparison
-              console.warn(`Sum is not zero: ${totalAmount} for SalesOrder: ${SalesOrder}, Item: ${item.SalesOrderItem}`);
-            }
-
-            const AccountingDocument = rec?.AccountingDocument || null;
-            const idStr = rec?.__metadata?.id || '';
-            const fyMatch = idStr.match(/FiscalYear='(\d+)'/);
-            const FiscalYear = fyMatch ? fyMatch[1] : null;
-            return { CompanyCode, SalesOrder, Customer, SalesOrderItem: item, AccountingDocument, FiscalYear };
-          })
-        )
-      )
-    );
-
-    // Save Step 3: Accounting Document URL results
-    fs.writeFileSync(
-        path.join(debugFolder, 'step3_notB.json'),
-        JSON.stringify(processedResults, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step3_notB.json with ${processedResults.length} records`);
-
-    // --------- Bounded parallel: Filter SO by Flag ----------
-    const disallowedStatuses = ["Paid", "Sent", "Error"];
-    const flagged = await Promise.all(
-      processedResults.map(r =>
-        flagLimit(async () => {
-          if (!r.AccountingDocument) return null;
-
-          const resp = await http.get(flagUrl, {
-              auth: auth.auth,
-              params: {
-                  $filter: `AccountingDocument eq '${r.AccountingDocument}' and CompanyCode eq '${r.CompanyCode}'`
-              }
-          });
-
-          const fr = resp.data?.d?.results?.[0] || {};
-          const isDisallowedStatus = disallowedStatuses.includes(fr.Statuscode);
-          
-          // Get CheckFlagNA setting for this company code
-          const companyConfig = companyCodeConfigMap.get(r.CompanyCode);
-          const checkFlagNA = companyConfig?.CheckFlagNA === 'Yes';
-          
-          // Original flag check logic
-          let isAnyFlagYes = fr.FlagSFUpdated === 'Yes' || fr.FlagInvoiceSent === 'Yes';
-          
-          // If CheckFlagNA is 'Yes' for this company code, also check for 'NA' values
-          if (checkFlagNA) {
-            isAnyFlagYes = isAnyFlagYes || fr.FlagSFUpdated === 'NA' || fr.FlagInvoiceSent === 'NA';
-          }
-          
-          const exclude = isDisallowedStatus || isAnyFlagYes;
-
-          return exclude ? null : r;
-        })
-      )
-    );
-    
-    const filteredNormalResults = flagged.filter(Boolean);
-    
-    // Save Step 4: Flag URL results (after filtering)
-    fs.writeFileSync(
-        path.join(debugFolder, 'step4_notB.json'),
-        JSON.stringify(filteredNormalResults, null, 2),
-        'utf8'
-    );
-    console.log(`Saved step4_notB.json with ${filteredNormalResults.length} records`);
-    
+    saveDebugStep('step1_notB.json', step1Data);
+    stats.count('step1', step1Data);
+    // items with status 'D' per sales order
+    saveDebugStep('step2_notB.json', finalList, 'sales orders');
+    stats.count('step2', finalList);
+
+    const processedResults = await stages.resolveAccountingDocuments(ctx, finalList);
+    saveDebugStep('step3_notB.json', processedResults);
+    stats.count('step3', processedResults);
+
+    const validResults = rejectInvalid(ctx, processedResults, stats, rejected);
+
+    const filteredNormalResults = await stages.applyFlagFilter(ctx, validResults, companyCodeConfigMap, { onExclude: stats.exclude });
+    saveDebugStep('step4_notB.json', filteredNormalResults);
+    stats.count('step4', filteredNormalResults);
+
     return filteredNormalResults;
 }
 
-async function main() {
+async function main(options = {}) {
     // load config.yaml
-    const configPath = path.join(baseDir, 'config.yaml');
-    const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
-
-    const envKey = (config.env || '').toLowerCase();
-    const creds = config.credentials[envKey];
-    if (!creds) throw new Error(`Missing credentials for env ${config.env}`);
-
-    const { username, password, hostname } = creds;
-    const {
-        FilterSalesOrderHeader: headerUrlPath,
-        FilterSalesOrderItem: itemUrlPath,
-        GetAccountingDocument: acctUrlPath,
-        Flag: flagUrlPath,
-        ScenarioB: scenarioBUrlPath,
-        GetSalesOrderB: getSalesOrderBUrlPath
-    } = config.cpi.endpoints;
-
-    const outputFolder = config.outputfolder || path.join(baseDir, 'output');
-
-    if (!headerUrlPath || !itemUrlPath || !acctUrlPath || !flagUrlPath || !scenarioBUrlPath || !getSalesOrderBUrlPath) {
-        throw new Error('Missing one or more CPI endpoints in config.yaml');
-    }
+    const configPath = options.configPath ? path.resolve(options.configPath) : path.join(baseDir, 'config.yaml');
+    // validated against the shared schema (throws ConfigError listing every problem)
+    const config = loadConfig(configPath);
+
+    const creds = resolveCredentials(config);
+    const { hostname } = creds;
+
+    const perf = resolvePerformance(config);
+    http.defaults.timeout = perf.httpTimeoutMs;
+    http.defaults.httpsAgent = new https.Agent({ keepAlive: true, maxSockets: perf.maxSockets });
+    console.log('Performance settings:', perf);
+    const { rateLimits, capped } = resolveODataRateLimits(config, perf);
+    capped.forEach(message => console.warn(message));
+
+    // basic / oauth2 / certificate, shared with the posting code in main.js
+    applyAuth(http, getAuthProvider(creds, { baseDir: path.dirname(configPath), maxSockets: perf.maxSockets }));
+    // All OData GETs (paging, retry, per-endpoint throttling) and the concurrency pools of the stages
+    const ctx = stages.createFetchContext({
+        odata: createODataClient({ http, ...config.odata, rateLimits }),
+        config,
+        hostname,
+        limits: {
+            soItem: pLimit(perf.soItemConcurrency),
+            acct: pLimit(perf.acctConcurrency),
+            flag: pLimit(perf.flagConcurrency)
+        }
+    });
 
-    const authConfig = {
-        auth: { username, password },
-        credentials: { hostname }
-    };
+    const outputFolder = options.outputFolder || config.outputfolder || path.join(baseDir, 'output');
 
     //Read Workbook
-    const workbookPath = path.join(baseDir, 'CompanyCodeList.xlsx');
+    const workbookPath = resolveCompanyListPath(configPath, config, baseDir);
     const workbook = xlsx.readFile(workbookPath);
     const sheetName = workbook.SheetNames[0];
-    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    const allRows = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    // filters (config.yaml + CLI) narrow the run without editing the workbook
+    const companyFilter = buildCompanyFilter(config, options);
+    const rows = applyCompanyFilter(allRows, companyFilter);
+    console.log(`Selected ${rows.length} of ${allRows.length} company codes (filters: ${describeCompanyFilter(companyFilter)})`);
 
     // Create a map for quick lookup of company code configurations
     const companyCodeConfigMap = new Map();
@@ -519,9 +215,7 @@ async function main() {
         }
     });
 
-    // Create debug folder
-    const debugFolder = path.join(baseDir, 'debug');
-    fs.mkdirSync(debugFolder, { recursive: true });
+    fs.mkdirSync(DEBUG_DIR, { recursive: true });
 
     // Separate company codes by scenario
     const scenarioBRows = rows.filter(row => row.Scenario === 'B');
@@ -531,27 +225,25 @@ async function main() {
     console.log(`Found ${normalScenarioRows.length} company codes with normal scenarios`);
 
     // Process both scenarios
+    const stats = createFetchStats(rows);
+    const rejected = [];
     const [normalResults, scenarioBResults] = await Promise.all([
-        normalScenarioRows.length > 0 ? processNormalScenario(normalScenarioRows, config, authConfig, companyCodeConfigMap) : Promise.resolve([]),
-        scenarioBRows.length > 0 ? processScenarioB(scenarioBRows, config, authConfig, companyCodeConfigMap) : Promise.resolve([])
+        normalScenarioRows.length > 0 ? processNormalScenario(ctx, normalScenarioRows, companyCodeConfigMap, stats, rejected) : Promise.resolve([]),
+        scenarioBRows.length > 0 ? processScenarioB(ctx, scenarioBRows, companyCodeConfigMap, stats, rejected) : Promise.resolve([])
     ]);
 
     // Combine results from both scenarios
-    const combinedFlagResults = [...normalResults, ...scenarioBResults];
-
-    // Save final combined results
-    fs.writeFileSync(
-        path.join(debugFolder, 'combined.json'),
-        JSON.stringify(combinedFlagResults, null, 2),
-        'utf8'
-    );
-    console.log(`Saved combined.json with ${combinedFlagResults.length} records`);
-
-    // Group combined results by CompanyCode
-    const grouped = combinedFlagResults.reduce((acc, cur) => {
-        (acc[cur.CompanyCode] = acc[cur.CompanyCode] || []).push(cur);
+    const valid = [...normalResults, ...scenarioBResults];
+
+    saveDebugStep('combined.json', valid);
+    saveDebugStep('rejected.json', rejected);
+
+    // Group results by CompanyCode
+    const groupByCompany = (list, codeOf) => list.reduce((acc, cur) => {
+        (acc[codeOf(cur)] = acc[codeOf(cur)] || []).push(cur);
         return acc;
     }, {});
+    const grouped = groupByCompany(valid, r => r.CompanyCode);
 
     // Save CSV by CompanyCode using combined results
     const now = new Date();
@@ -567,16 +259,27 @@ async function main() {
         fs.mkdirSync(dir, { recursive: true });
         const filename = `PrePayment_Collection_Invoice_A_${companyCode}_${timestamp}.csv`;
         const fullPath = path.join(dir, filename);
-        const header = 'SalesOrder,SalesOrderItem,YY1_SALESFORCEID_I_SDI,Customer,AccountingDocument,CompanyCode,FiscalYear';
-        const lines = records.map(r =>
-            [r.SalesOrder, r.SalesOrderItem.SalesOrderItem, r.SalesOrderItem.YY1_SALESFORCEID_I_SDI, r.Customer, r.AccountingDocument, r.CompanyCode, r.FiscalYear].join(',')
-        );
-        fs.writeFileSync(fullPath, [header, ...lines].join('\n'), 'utf8');
+        fs.writeFileSync(fullPath, formatCsv(INVOICE_CSV_COLUMNS, stages.buildCsvRows(records)), 'utf8');
         console.log(`Created ${fullPath} with ${records.length} records`);
+        stats.companies[companyCode].csv = filename;
     }
+
+    // <CompanyCode>/rejected/ is never picked up by the poster
+    for (const [companyCode, entries] of Object.entries(groupByCompany(rejected, e => e.record.CompanyCode))) {
+        const dir = path.join(outputFolder, companyCode, 'rejected');
+        fs.mkdirSync(dir, { recursive: true });
+        const filename = `Rejected_PrePayment_Collection_Invoice_A_${companyCode}_${timestamp}.csv`;
+        const rows = entries.map(({ record, reasons }) => ({ ...stages.toCsvRow(record), Reason: reasons.join('; ') }));
+        fs.writeFileSync(path.join(dir, filename), formatCsv([...INVOICE_CSV_COLUMNS, 'Reason'], rows), 'utf8');
+        console.log(`Created ${path.join(dir, filename)} with ${entries.length} rejected records`);
+        stats.companies[companyCode].rejectedCsv = filename;
+    }
+
+    // per-company step counts, picked up by the run report in main.js
+    return { companies: stats.companies };
 }
 
 if (require.main === module) {
-    main().catch(err => console.error(err));
+    main(parseArgs(process.argv.slice(2)).options).catch(err => console.error(err));
 }
 module.exports = main;
\ No newline at end of file
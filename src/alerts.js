@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { scopeReport } = require('./runReport');
+
+// Who gets the summary email, decided from the finished run report:
+//
+//   email:
+//     to: central-team@example.com
+//     alerts:                      # without this block every run is mailed
+//       onFailure: true            # any failed record or a run error
+//       failureRatePercent: 5      # failed / (posted + failed) above 5 %
+//       zeroRecords: [SAC1, EGC1]  # these companies must produce records ('*' = every company)
+//     companyRecipients:           # country teams, mailed about their own company codes only
+//       SAC1: { to: [sa-team@example.com], alerts: { onFailure: true } }
+//
+// A mail goes out when any configured rule fires; company recipients inherit email.alerts
+// unless they set their own.
+
+/** Records a company produced this run: step4 when the fetch ran, else what the post saw. */
+function companyRecordCount(c) {
+  if (c.fetch) return c.fetch.step4 || 0;
+  const p = c.post || {};
+  return (p.posted || 0) + (p.failed || 0) + (p.skipped || 0) + (p.wouldPost || 0);
+}
+
+/**
+ * Reasons to notify for a (scoped) report, or null when no rule is configured,
+ * meaning "always send".
+ */
+function evaluateAlerts(report, rules) {
+  if (!rules || !Object.keys(rules).length) return null;
+  const reasons = [];
+  const { posted, failed } = report.totals;
+
+  if (rules.onFailure) {
+    if (failed) reasons.push(`${failed} record(s) failed to post`);
+    else if (report.errors.length) reasons.push('the run reported errors');
+  }
+
+  if (rules.failureRatePercent !== undefined && posted + failed > 0) {
+    const rate = (failed / (posted + failed)) * 100;
+    if (rate > rules.failureRatePercent) {
+      reasons.push(`failure rate ${rate.toFixed(1)}% exceeds ${rules.failureRatePercent}%`);
+    }
+  }
+
+  if (rules.zeroRecords?.length) {
+    const expected = rules.zeroRecords.map(String);
+    const empty = Object.entries(report.companies)
+      .filter(([code, c]) => (expected.includes('*') || expected.includes(code)) && companyRecordCount(c) === 0)
+      .map(([code]) => code);
+    if (empty.length) reasons.push(`no records for ${empty.join(', ')}`);
+  }
+  return reasons;
+}
+
+/**
+ * Emails to send: [{ to, cc, codes, report, reasons }]. `codes` is null for the central
+ * recipients (whole run) or the company codes a country team is mailed about.
+ */
+function planEmails(report, emailConfig) {
+  const plans = [];
+  const consider = (recipients, codes, rules) => {
+    if (!recipients.to || (Array.isArray(recipients.to) && !recipients.to.length)) return;
+    const scoped = codes ? scopeReport(report, codes) : report;
+    if (codes && !Object.keys(scoped.companies).length) return; // not part of this run
+    const reasons = evaluateAlerts(scoped, rules);
+    if (reasons && !reasons.length) {
+      console.log(`No alert rule matched for ${[].concat(recipients.to).join(', ')} - not mailing`);
+      return;
+    }
+    plans.push({ to: recipients.to, cc: recipients.cc, codes, report: scoped, reasons: reasons || [] });
+  };
+
+  consider(emailConfig, null, emailConfig.alerts);
+
+  // company codes with identical recipients share one mail
+  const groups = new Map();
+  for (const [code, target] of Object.entries(emailConfig.companyRecipients || {})) {
+    const key = JSON.stringify([target.to, target.cc, target.alerts ?? emailConfig.alerts]);
+    if (!groups.has(key)) groups.set(key, { target, codes: [] });
+    groups.get(key).codes.push(code);
+  }
+  for (const { target, codes } of groups.values()) {
+    consider(target, codes, target.alerts ?? emailConfig.alerts);
+  }
+  return plans;
+}
+
+/**
+ * Attachments of one planned mail, per email.attachments ({ log, csv, report }). Country teams
+ * get the posted CSVs of their own codes only, never the log or the report of the whole run.
+ * @param {object} [files]  { log: { filename, content }, reportFiles: { htmlPath, jsonPath } }
+ */
+function planAttachments(plan, attach, { log, reportFiles } = {}) {
+  const attachments = [];
+  if (attach.log && log && !plan.codes) {
+    attachments.push({ filename: log.filename, content: Buffer.from(log.content, 'utf8'), contentType: 'text/plain' });
+  }
+  if (attach.csv) {
+    for (const c of Object.values(plan.report?.companies || {})) {
+      if (c.post?.csvPath && fs.existsSync(c.post.csvPath)) {
+        attachments.push({ filename: c.post.csv, path: c.post.csvPath, contentType: 'text/csv' });
+      }
+    }
+  }
+  if (attach.report && reportFiles && !plan.codes) {
+    attachments.push({ filename: path.basename(reportFiles.htmlPath), path: reportFiles.htmlPath, contentType: 'text/html' });
+    attachments.push({ filename: path.basename(reportFiles.jsonPath), path: reportFiles.jsonPath, contentType: 'application/json' });
+  }
+  return attachments;
+}
+
+module.exports = { planEmails, planAttachments, evaluateAlerts, companyRecordCount };
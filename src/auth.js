@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const axios = require('axios');
+
+// Pluggable CPI authentication, selected per env in config.yaml:
+//
+//   credentials:
+//     prod:
+//       hostname: https://...
+//       auth:
+//         type: oauth2            # basic (default) | oauth2 | certificate
+//         tokenUrl: https://<subaccount>.authentication.<region>.hana.ondemand.com/oauth/token
+//         clientId: ${env:CPI_CLIENT_ID}
+//         clientSecret: ${secret:cpi_client_secret}
+//
+// basic uses credentials.<env>.username/password; certificate takes cert + key (PEM) or pfx
+// file paths, resolved relative to config.yaml.
+const AUTH_TYPES = ['basic', 'oauth2', 'certificate'];
+const DEFAULT_REFRESH_SKEW_SECONDS = 60;
+// lifetime assumed when the token response has no expires_in; a token revoked earlier is
+// still replaced through the 401 retry in applyAuth
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+
+// one provider per credentials block, so the fetcher and the poster share the token cache
+const providers = new Map();
+
+function basicProvider(creds) {
+  const auth = { username: creds.username, password: creds.password };
+  return {
+    type: 'basic',
+    async authorize(requestConfig) {
+      requestConfig.auth = auth;
+      return requestConfig;
+    },
+    invalidate() {}
+  };
+}
+
+function oauth2Provider(authCfg) {
+  const skewMs = (authCfg.refreshSkewSeconds ?? DEFAULT_REFRESH_SKEW_SECONDS) * 1000;
+  let token = null;
+  let expiresAt = 0;
+  let inflight = null;
+
+  async function requestToken() {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (authCfg.scope) form.set('scope', authCfg.scope);
+    const resp = await axios.post(authCfg.tokenUrl, form.toString(), {
+      timeout: 30000,
+      auth: { username: authCfg.clientId, password: authCfg.clientSecret },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    const { access_token: accessToken, expires_in: expiresIn } = resp.data || {};
+    if (!accessToken) throw new Error(`Token endpoint ${authCfg.tokenUrl} returned no access_token`);
+    token = accessToken;
+    const lifetime = Number(expiresIn) > 0 ? Number(expiresIn) : DEFAULT_TOKEN_LIFETIME_SECONDS;
+    // refresh a little before the token actually expires, but never use less than half of a
+    // short-lived token
+    expiresAt = Date.now() + lifetime * 1000 - Math.min(skewMs, (lifetime * 1000) / 2);
+    console.log(`Fetched OAuth2 token from ${authCfg.tokenUrl} (expires in ${lifetime}s${Number(expiresIn) > 0 ? '' : ', assumed'})`);
+    return token;
+  }
+
+  async function getToken() {
+    if (token && Date.now() < expiresAt) return token;
+    // concurrent requests wait for the same refresh instead of each fetching a token
+    if (!inflight) inflight = requestToken().finally(() => { inflight = null; });
+    return inflight;
+  }
+
+  return {
+    type: 'oauth2',
+    async authorize(requestConfig) {
+      const accessToken = await getToken();
+      requestConfig.headers = requestConfig.headers || {};
+      requestConfig.headers.Authorization = `Bearer ${accessToken}`;
+      requestConfig._authToken = accessToken;
+      return requestConfig;
+    },
+    /** Drop the cached token, unless it was already replaced since usedToken was sent. */
+    invalidate(usedToken) {
+      if (usedToken !== undefined && usedToken !== token) return;
+      token = null;
+      expiresAt = 0;
+    }
+  };
+}
+
+function certificateProvider(authCfg, baseDir, maxSockets) {
+  const read = p => (p ? fs.readFileSync(path.resolve(baseDir, p)) : undefined);
+  const httpsAgent = new https.Agent({
+    keepAlive: true,
+    maxSockets,
+    cert: read(authCfg.cert),
+    key: read(authCfg.key),
+    pfx: read(authCfg.pfx),
+    ca: read(authCfg.ca),
+    passphrase: authCfg.passphrase
+  });
+  return {
+    type: 'certificate',
+    httpsAgent,
+    async authorize(requestConfig) {
+      requestConfig.httpsAgent = httpsAgent;
+      return requestConfig;
+    },
+    invalidate() {}
+  };
+}
+
+/**
+ * Auth provider for a credentials block (credentials.<env>); cached so every
+ * client in the process reuses the same token / TLS agent.
+ */
+function getAuthProvider(creds, { baseDir = process.cwd(), maxSockets = 40 } = {}) {
+  const cacheKey = JSON.stringify([creds, baseDir, maxSockets]);
+  if (providers.has(cacheKey)) return providers.get(cacheKey);
+
+  const authCfg = creds.auth || {};
+  const type = authCfg.type || 'basic';
+  let provider;
+  if (type === 'basic') provider = basicProvider(creds);
+  else if (type === 'oauth2') provider = oauth2Provider(authCfg);
+  else if (type === 'certificate') provider = certificateProvider(authCfg, baseDir, maxSockets);
+  else throw new Error(`Unsupported auth type "${type}" (expected ${AUTH_TYPES.join(', ')})`);
+
+  providers.set(cacheKey, provider);
+  return provider;
+}
+
+/**
+ * Install the provider on an axios instance: every request is authorized, and an
+ * OAuth2 401 triggers one retry with a freshly fetched token.
+ */
+function applyAuth(client, provider) {
+  // re-applying replaces the previous provider instead of stacking interceptors
+  if (client.__auth) {
+    client.interceptors.request.eject(client.__auth.request);
+    client.interceptors.response.eject(client.__auth.response);
+  }
+  const request = client.interceptors.request.use(cfg => provider.authorize(cfg));
+  const response = client.interceptors.response.use(undefined, async err => {
+    const cfg = err?.config;
+    if (provider.type === 'oauth2' && err?.response?.status === 401 && cfg && !cfg._authRetried) {
+      cfg._authRetried = true;
+      // concurrent requests with the old token fail one after another; only the first may
+      // drop it, the later ones retry with the token that replaced it
+      provider.invalidate(cfg._authToken);
+      return client.request(cfg);
+    }
+    throw err;
+  });
+  client.__auth = { request, response };
+  return client;
+}
+
+module.exports = { getAuthProvider, applyAuth, AUTH_TYPES };
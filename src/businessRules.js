@@ -0,0 +1,40 @@
+// Business rules that decide which records are collected and posted, read from config.yaml so
+// they can change without rebuilding the exe:
+//
+//   rules:
+//     disallowedStatuses: [Paid, Sent, Error]   # Flag Statuscode that excludes a record
+//     downPaymentStatuses: [D]                  # SlsOrderItemDownPaymentStatus of collected items
+//     invoiceClearingStatuses: [C]              # InvoiceClearingStatus of Scenario B billing documents
+//     accountingLine: negative                  # GetAccountingDocument line to use: negative | positive amount
+//     postInvoiceTypes: [EInvoice]              # InvoiceType values posted, in both scenarios
+//     overrides:
+//       EGC1: { disallowedStatuses: [Paid, Sent] }   # keyed by CompanyCode
+const DEFAULT_RULES = {
+  disallowedStatuses: ['Paid', 'Sent', 'Error'],
+  downPaymentStatuses: ['D'],
+  invoiceClearingStatuses: ['C'],
+  //Change in logic, instead of using the one with Accounting Document Item = 2,
+  //Nikhil decide that we take the AmountInTransactionCurrency <0
+  accountingLine: 'negative',
+  postInvoiceTypes: ['EInvoice']
+};
+
+const RULE_KEYS = Object.keys(DEFAULT_RULES);
+const ACCOUNTING_LINES = ['negative', 'positive'];
+
+/** Defaults <- rules.* <- rules.overrides.<CompanyCode>. */
+function resolveRules(config = {}, companyCode) {
+  const { overrides, ...base } = config.rules || {};
+  const code = String(companyCode ?? '').trim();
+  return { ...DEFAULT_RULES, ...base, ...(overrides?.[code] || {}) };
+}
+
+/** The line of a GetAccountingDocument result that carries the document, per rules.accountingLine. */
+function pickAccountingLine(lines, rules) {
+  const amount = r => Number(r.AmountInTransactionCurrency);
+  return rules.accountingLine === 'positive'
+    ? lines.find(r => amount(r) > 0)
+    : lines.find(r => amount(r) < 0);
+}
+
+module.exports = { resolveRules, pickAccountingLine, DEFAULT_RULES, RULE_KEYS, ACCOUNTING_LINES };
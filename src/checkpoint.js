@@ -0,0 +1,97 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonAtomic } = require('./jsonStore');
+
+// Run checkpoint: which stage the current run reached and, per company, which CSV it is
+// posting and the index of the last record that is committed (posted or dead-lettered).
+// `--resume` reads it to continue an interrupted run instead of starting over.
+const CHECKPOINT_FILE = 'checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+// lastIndex moves once per record; it is written at most this often. A resumed run may then
+// revisit a few committed records: delivered ones are skipped through the ledger, failed
+// ones are posted again and keep their single dead-letter entry.
+const PROGRESS_FLUSH_MS = 1000;
+
+// run-level stages, in order
+const STAGES = ['fetch', 'sweep', 'post', 'done'];
+
+function newRunId(d = new Date()) {
+  return `${d.toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Open <outputfolder>/checkpoint.json. Nothing is written until start() is called;
+ * a finished run keeps its file (stage "done") for inspection.
+ */
+function openCheckpoint(outputfolder) {
+  const filePath = path.join(outputfolder, CHECKPOINT_FILE);
+  const raw = readJsonFile(filePath, null);
+  const stored = raw?.version === CHECKPOINT_VERSION ? raw : null;
+  let state = null; // set by start(); until then (and in dry runs) nothing is tracked
+  let savedAt = 0;
+
+  const save = () => {
+    state.updatedAt = new Date().toISOString();
+    writeJsonAtomic(filePath, state);
+    savedAt = Date.now();
+  };
+
+  return {
+    filePath,
+    /** The stored run when it did not reach "done", else null. */
+    unfinished() {
+      return stored && stored.stage !== 'done' ? stored : null;
+    },
+    /** Begin a new run, or continue `previous` (from unfinished()) when resuming. */
+    start(command, previous = null) {
+      state = previous || {
+        version: CHECKPOINT_VERSION,
+        runId: newRunId(),
+        command,
+        startedAt: new Date().toISOString(),
+        stage: null,
+        companies: {}
+      };
+      save();
+      return state.runId;
+    },
+    get runId() {
+      return state?.runId || null;
+    },
+    get stage() {
+      return state?.stage || null;
+    },
+    /** True when the resumed run already got past `stage`. */
+    passed(stage) {
+      return !!state?.stage && STAGES.indexOf(state.stage) > STAGES.indexOf(stage);
+    },
+    setStage(stage) {
+      if (!state) return;
+      state.stage = stage;
+      save();
+    },
+    company(code) {
+      return state?.companies?.[code] || null;
+    },
+    /** Merge { csv, stage: 'post' | 'archive' | 'done', lastIndex } into a company entry. */
+    updateCompany(code, patch) {
+      if (!state) return;
+      state.companies[code] = { ...state.companies[code], ...patch };
+      save();
+    },
+    /** Move a company's lastIndex; written with the next save or once PROGRESS_FLUSH_MS passed. */
+    progress(code, lastIndex) {
+      if (!state) return;
+      state.companies[code] = { ...state.companies[code], lastIndex };
+      if (Date.now() - savedAt >= PROGRESS_FLUSH_MS) save();
+    }
+  };
+}
+
+/** A checkpointed CSV the crashed run may have archived already. */
+function csvStillPending(dirPath, csvName) {
+  return !!csvName && fs.existsSync(path.join(dirPath, csvName));
+}
+
+module.exports = { openCheckpoint, csvStillPending, STAGES };
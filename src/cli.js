@@ -0,0 +1,84 @@
+// Minimal argv parser (pkg targets node16, so util.parseArgs is not available)
+
+const COMMANDS = ['run', 'fetch', 'post', 'sweep', 'status', 'ledger', 'replay', 'validate-config', 'secrets'];
+
+const USAGE = `Usage: main.js [command] [options]
+
+Commands:
+  run                           fetch, sweep, post and email (default)
+  fetch                         generate the per-company CSVs only
+  post                          post the newest CSV of each company only
+  sweep                         archive all but the newest CSV in every company folder
+  status                        show the pending CSVs per company
+  ledger <action>               list [CompanyCode] | show <key> | clear <key> | replay <key>
+  replay [Company]              re-post dead-lettered records
+  validate-config               check config.yaml and exit
+  secrets <action>              encrypt <plain.yaml> [out] | list (key from PREPAY_SECRETS_KEY)
+
+Options:
+  --company <codes>             only these company codes (comma-separated, repeatable)
+  --exclude-company <codes>     skip these company codes
+  --scenario <list>             only companies with these Scenario values (e.g. B or C)
+  --exclude-scenario <list>     skip companies with these Scenario values
+  --invoice-type <list>         only companies with these InvoiceType values
+  --exclude-invoice-type <list> skip companies with these InvoiceType values
+  --config <path>               config.yaml to use (default: next to the exe / project root)
+  --output <folder>             output folder (overrides outputfolder in config.yaml)
+  --dry-run                     build payloads but never POST or archive
+  --resume                      continue the interrupted run recorded in checkpoint.json
+  --merge                       secrets encrypt: add to the existing secrets file
+  --force                       secrets encrypt: replace the existing secrets file
+  -h, --help                    show this help
+`;
+
+const splitList = v => String(v).split(',').map(s => s.trim()).filter(Boolean);
+
+function parseArgs(argv) {
+  const options = {
+    companies: [], excludeCompanies: [],
+    scenarios: [], excludeScenarios: [],
+    invoiceTypes: [], excludeInvoiceTypes: [],
+    dryRun: false, resume: false, merge: false, force: false, help: false
+  };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // accept both "--flag value" and "--flag=value"
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const value = () => {
+      if (inline !== undefined) return inline;
+      const next = argv[++i];
+      if (next === undefined || next.startsWith('--')) throw new Error(`Missing value for ${flag}`);
+      return next;
+    };
+
+    switch (flag) {
+      case '--company': options.companies.push(...splitList(value())); break;
+      case '--exclude-company': options.excludeCompanies.push(...splitList(value())); break;
+      case '--scenario': options.scenarios.push(...splitList(value())); break;
+      case '--exclude-scenario': options.excludeScenarios.push(...splitList(value())); break;
+      case '--invoice-type': options.invoiceTypes.push(...splitList(value())); break;
+      case '--exclude-invoice-type': options.excludeInvoiceTypes.push(...splitList(value())); break;
+      case '--config': options.configPath = value(); break;
+      case '--output': options.outputFolder = value(); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--resume': options.resume = true; break;
+      case '--merge': options.merge = true; break;
+      case '--force': options.force = true; break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (flag.startsWith('-')) throw new Error(`Unknown option ${flag}`);
+        positionals.push(arg);
+    }
+  }
+
+  const command = positionals.length ? positionals.shift() : 'run';
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+  return { command, args: positionals, options };
+}
+
+module.exports = { parseArgs, USAGE, COMMANDS };
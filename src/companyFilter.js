@@ -0,0 +1,57 @@
+// Include/exclude selection of CompanyCodeList.xlsx rows, shared by the fetcher and the poster
+// so both stages always work on the same set of companies.
+//
+// config.yaml:
+//   filters:
+//     include: { CompanyCode: [SAC1], Scenario: [C], InvoiceType: [EInvoice] }
+//     exclude: { CompanyCode: [MAC1] }
+//
+// CLI --company/--scenario/--invoice-type replace the configured include list for that field,
+// --exclude-* flags are added to the configured exclude list.
+
+const FILTER_FIELDS = ['CompanyCode', 'Scenario', 'InvoiceType'];
+
+const CLI_INCLUDE = { CompanyCode: 'companies', Scenario: 'scenarios', InvoiceType: 'invoiceTypes' };
+const CLI_EXCLUDE = { CompanyCode: 'excludeCompanies', Scenario: 'excludeScenarios', InvoiceType: 'excludeInvoiceTypes' };
+
+const toList = v => (v === undefined || v === null ? [] : [].concat(v)).map(x => String(x).trim()).filter(Boolean);
+
+function buildCompanyFilter(config = {}, options = {}) {
+  const include = {};
+  const exclude = {};
+  for (const field of FILTER_FIELDS) {
+    const cliInclude = toList(options[CLI_INCLUDE[field]]);
+    include[field] = cliInclude.length ? cliInclude : toList(config.filters?.include?.[field]);
+    exclude[field] = [...toList(config.filters?.exclude?.[field]), ...toList(options[CLI_EXCLUDE[field]])];
+  }
+  return { include, exclude };
+}
+
+/** Returns the reason a row is filtered out, or null when it is selected. */
+function rejectReason(row, filter) {
+  for (const field of FILTER_FIELDS) {
+    const value = String(row[field] ?? '').trim();
+    if (filter.include[field].length && !filter.include[field].includes(value)) return `${field}=${value} not included`;
+    if (filter.exclude[field].includes(value)) return `${field}=${value} excluded`;
+  }
+  return null;
+}
+
+function applyCompanyFilter(rows, filter) {
+  return rows.filter(row => {
+    const reason = rejectReason(row, filter);
+    if (reason) console.log(`Filtered out ${row.CompanyCode}: ${reason}`);
+    return !reason;
+  });
+}
+
+function describeCompanyFilter(filter) {
+  const parts = [];
+  for (const field of FILTER_FIELDS) {
+    if (filter.include[field].length) parts.push(`${field} in [${filter.include[field].join(',')}]`);
+    if (filter.exclude[field].length) parts.push(`${field} not in [${filter.exclude[field].join(',')}]`);
+  }
+  return parts.length ? parts.join(', ') : 'none';
+}
+
+module.exports = { buildCompanyFilter, applyCompanyFilter, describeCompanyFilter };
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { readSecretsFile, hasSecretPlaceholders, resolvePlaceholders } = require('./secrets');
+const { AUTH_TYPES } = require('./auth');
+const { PERFORMANCE_KEYS } = require('./performance');
+const { CHANNEL_TYPES } = require('./notify');
+const { INVOICE_CSV_COLUMNS } = require('./csv');
+const { ACCOUNTING_LINES } = require('./businessRules');
+
+// Declared shape of config.yaml. Shared by main.js and GetPrepaymentSOCollectionInvoiceList.js
+// so both entry points read the same keys and fail the same way.
+const str = { type: 'string' };
+const optStr = { type: 'string', optional: true };
+const stringList = { type: 'array', items: str, optional: true };
+const recipients = { type: ['string', 'array'], items: str, optional: true };
+
+const ENDPOINT_KEYS = [
+  'FilterSalesOrderHeader',
+  'FilterSalesOrderItem',
+  'GetAccountingDocument',
+  'Flag',
+  'ScenarioB',
+  'GetSalesOrderB',
+  'PrepaymentAutomation'
+];
+
+const companyFilterFields = {
+  type: 'object',
+  optional: true,
+  properties: { CompanyCode: stringList, Scenario: stringList, InvoiceType: stringList }
+};
+
+// payload field -> CSV column; a typo in the column would post the field as undefined
+const payloadMapping = { type: 'object', optional: true, values: { type: 'string', enum: INVOICE_CSV_COLUMNS } };
+
+const alertRules = {
+  type: 'object',
+  optional: true,
+  properties: {
+    onFailure: { type: 'boolean', optional: true },
+    failureRatePercent: { type: 'number', optional: true, min: 0 },
+    zeroRecords: stringList
+  }
+};
+
+// pool sizes, socket and retry counts go to pLimit / https.Agent and must be whole numbers
+const performanceSettings = Object.fromEntries(
+  PERFORMANCE_KEYS.map(k => [k, { type: 'number', optional: true, integer: !k.endsWith('Ms'), min: k === 'postRetries' ? 0 : 1 }])
+);
+
+const businessRules = {
+  disallowedStatuses: stringList,
+  downPaymentStatuses: stringList,
+  invoiceClearingStatuses: stringList,
+  accountingLine: { type: 'string', enum: ACCOUNTING_LINES, optional: true },
+  postInvoiceTypes: stringList
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    env: str,
+    credentials: {
+      type: 'object',
+      values: {
+        type: 'object',
+        // only the block of the active env must be complete (checked in validateConfig)
+        properties: {
+          username: optStr,
+          password: optStr,
+          hostname: optStr,
+          auth: {
+            type: 'object',
+            optional: true,
+            properties: {
+              type: { type: 'string', enum: AUTH_TYPES, optional: true },
+              tokenUrl: optStr,
+              clientId: optStr,
+              clientSecret: optStr,
+              scope: optStr,
+              refreshSkewSeconds: { type: 'number', optional: true },
+              cert: optStr,
+              key: optStr,
+              pfx: optStr,
+              ca: optStr,
+              passphrase: optStr
+            }
+          }
+        }
+      }
+    },
+    cpi: {
+      type: 'object',
+      properties: {
+        endpoints: {
+          type: 'object',
+          properties: {
+            ...Object.fromEntries(ENDPOINT_KEYS.map(k => [k, str])),
+            PrepaymentAutomationB: optStr
+          }
+        },
+        payloadMapping: {
+          type: 'object',
+          optional: true,
+          properties: { normal: payloadMapping, B: payloadMapping }
+        }
+      }
+    },
+    odata: {
+      type: 'object',
+      optional: true,
+      properties: {
+        retry: {
+          type: 'object',
+          optional: true,
+          properties: {
+            retries: { type: 'number', optional: true },
+            baseDelayMs: { type: 'number', optional: true },
+            maxDelayMs: { type: 'number', optional: true }
+          }
+        },
+        // a batch size below 1 would never get through the AccountingDocument list
+        flagBatchSize: { type: 'number', optional: true, integer: true, min: 1 },
+        rateLimits: {
+          type: 'object',
+          optional: true,
+          values: {
+            type: 'object',
+            properties: {
+              maxConcurrent: { type: 'number', optional: true, integer: true, min: 1 },
+              minIntervalMs: { type: 'number', optional: true, min: 0 }
+            }
+          }
+        }
+      }
+    },
+    performance: {
+      type: 'object',
+      optional: true,
+      properties: {
+        ...performanceSettings,
+        overrides: {
+          type: 'object',
+          optional: true,
+          values: { type: 'object', properties: performanceSettings }
+        }
+      }
+    },
+    outputfolder: optStr,
+    companyList: optStr,
+    secretsFile: optStr,
+    filteroutSO: { type: 'array', items: { type: ['string', 'number'] }, optional: true },
+    filters: {
+      type: 'object',
+      optional: true,
+      properties: { include: companyFilterFields, exclude: companyFilterFields }
+    },
+    rules: {
+      type: 'object',
+      optional: true,
+      properties: {
+        ...businessRules,
+        overrides: {
+          type: 'object',
+          optional: true,
+          values: { type: 'object', properties: businessRules }
+        }
+      }
+    },
+    validation: {
+      type: 'object',
+      optional: true,
+      properties: {
+        requiredFields: { type: 'array', items: { type: 'string', enum: INVOICE_CSV_COLUMNS }, optional: true },
+        requireFiscalYear: { type: 'boolean', optional: true },
+        balanceCheck: { type: 'boolean', optional: true },
+        balanceTolerance: { type: 'number', optional: true, min: 0 },
+        salesforceIdPattern: optStr
+      }
+    },
+    notifications: {
+      type: 'array',
+      optional: true,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: CHANNEL_TYPES },
+          url: str,
+          name: optStr,
+          headers: { type: 'object', optional: true, values: str },
+          timeoutMs: { type: 'number', optional: true, min: 1 },
+          alerts: alertRules
+        }
+      }
+    },
+    email: {
+      type: 'object',
+      optional: true,
+      properties: {
+        from: optStr,
+        to: recipients,
+        cc: recipients,
+        subject: optStr,
+        alerts: alertRules,
+        companyRecipients: {
+          type: 'object',
+          optional: true,
+          values: { type: 'object', properties: { to: { ...recipients, optional: false }, cc: recipients, alerts: alertRules } }
+        },
+        attachments: {
+          type: 'object',
+          optional: true,
+          properties: {
+            log: { type: 'boolean', optional: true },
+            csv: { type: 'boolean', optional: true },
+            report: { type: 'boolean', optional: true }
+          }
+        },
+        smtp: {
+          type: 'object',
+          optional: true,
+          properties: {
+            host: optStr,
+            port: { type: 'number', optional: true },
+            secure: { type: 'boolean', optional: true },
+            user: optStr,
+            password: optStr
+          }
+        }
+      }
+    }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(configPath, problems) {
+    super(`Invalid config ${configPath}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+    this.problems = problems;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Collects every problem instead of stopping at the first one
+function checkNode(value, schema, at, problems) {
+  if (value === undefined || value === null) {
+    if (!schema.optional) problems.push(`${at}: is required`);
+    return;
+  }
+  const allowed = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!allowed.includes(actual)) {
+    problems.push(`${at}: expected ${allowed.join(' or ')} but got ${actual}`);
+    return;
+  }
+  if (actual === 'string' && !value.trim()) {
+    problems.push(`${at}: must not be empty`);
+  }
+  if (actual === 'number' && schema.integer && !Number.isInteger(value)) {
+    problems.push(`${at}: must be a whole number but got ${value}`);
+  }
+  if (actual === 'number' && schema.min !== undefined && value < schema.min) {
+    problems.push(`${at}: must be at least ${schema.min} but got ${value}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: must be one of ${schema.enum.join(', ')} but got ${value}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkNode(item, schema.items, `${at}[${i}]`, problems));
+  }
+  if (actual === 'object') {
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      checkNode(value[key], child, at ? `${at}.${key}` : key, problems);
+    }
+    // a misspelt key would otherwise be ignored silently and its default used
+    if (schema.properties && !schema.values) {
+      for (const key of Object.keys(value).filter(k => !Object.hasOwn(schema.properties, k))) {
+        const known = Object.keys(schema.properties).find(k => k.toLowerCase() === key.toLowerCase());
+        problems.push(`${at ? `${at}.${key}` : key}: unknown key${known ? ` (did you mean ${known}?)` : ''}`);
+      }
+    }
+    if (schema.values) {
+      for (const [key, child] of Object.entries(value)) {
+        checkNode(child, schema.values, at ? `${at}.${key}` : key, problems);
+      }
+    }
+  }
+}
+
+function validateConfig(config) {
+  const problems = [];
+  if (typeOf(config) !== 'object') return ['(root): config.yaml must be a mapping'];
+  checkNode(config, CONFIG_SCHEMA, '', problems);
+
+  // cross-field: the selected env must have a credentials block
+  const envKey = String(config.env ?? '').toLowerCase();
+  if (envKey && typeOf(config.credentials) === 'object' && !config.credentials[envKey]) {
+    problems.push(`credentials.${envKey}: missing credentials for env ${config.env}`);
+  }
+
+  if (typeOf(config.validation?.salesforceIdPattern) === 'string') {
+    try {
+      new RegExp(config.validation.salesforceIdPattern);
+    } catch (e) {
+      problems.push(`validation.salesforceIdPattern: ${e.message}`);
+    }
+  }
+
+  // an empty list would leave the Scenario B query without a clearing-status filter
+  const ruleSets = [['rules', config.rules], ...Object.entries(config.rules?.overrides || {}).map(([code, r]) => [`rules.overrides.${code}`, r])];
+  for (const [at, rules] of ruleSets) {
+    if (typeOf(rules?.invoiceClearingStatuses) === 'array' && !rules.invoiceClearingStatuses.length) {
+      problems.push(`${at}.invoiceClearingStatuses: must not be empty`);
+    }
+  }
+
+  // cross-field: the active env needs a hostname and what its auth type needs; the other
+  // envs may be incomplete
+  const creds = typeOf(config.credentials) === 'object' ? config.credentials[envKey] : undefined;
+  if (typeOf(creds) === 'object') {
+    const at = `credentials.${envKey}`;
+    if (!creds.hostname) problems.push(`${at}.hostname: is required`);
+    const type = creds.auth?.type || 'basic';
+    const need = (obj, field, path) => { if (!obj?.[field]) problems.push(`${path}.${field}: is required for ${type} auth`); };
+    if (type === 'basic') {
+      need(creds, 'username', at);
+      need(creds, 'password', at);
+    } else if (type === 'oauth2') {
+      for (const f of ['tokenUrl', 'clientId', 'clientSecret']) need(creds.auth, f, `${at}.auth`);
+    } else if (type === 'certificate' && !creds.auth.pfx) {
+      need(creds.auth, 'cert', `${at}.auth`);
+      need(creds.auth, 'key', `${at}.auth`);
+    }
+  }
+  return problems;
+}
+
+/** secretsFile is resolved relative to config.yaml; defaults to secrets.enc next to it. */
+function resolveSecretsPath(configPath, rawConfig) {
+  return path.resolve(path.dirname(configPath), rawConfig?.secretsFile || 'secrets.enc');
+}
+
+/** companyList is resolved relative to config.yaml; defaults to CompanyCodeList.xlsx in baseDir. */
+function resolveCompanyListPath(configPath, config, baseDir) {
+  return config?.companyList
+    ? path.resolve(path.dirname(configPath), config.companyList)
+    : path.join(baseDir, 'CompanyCodeList.xlsx');
+}
+
+/** Shallow copy of the config whose credentials hold the active env's block only. */
+function activeScope(config) {
+  if (typeOf(config) !== 'object' || typeOf(config.credentials) !== 'object') return config;
+  const envKey = String(config.env ?? '').toLowerCase();
+  const active = Object.hasOwn(config.credentials, envKey) ? { [envKey]: config.credentials[envKey] } : {};
+  return { ...config, credentials: active };
+}
+
+/**
+ * Read, parse, resolve ${env:…}/${secret:…} placeholders and validate config.yaml;
+ * throws ConfigError listing every problem.
+ */
+function loadConfig(configPath, env = process.env) {
+  if (!fs.existsSync(configPath)) throw new ConfigError(configPath, ['file not found']);
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(configPath, [`YAML parse error: ${e.message}`]);
+  }
+
+  // placeholders in the credentials of other envs stay unresolved, so a dev run needs no
+  // prod variables or secrets
+  const scope = activeScope(config);
+  const problems = [];
+  let secrets = {};
+  if (hasSecretPlaceholders(scope)) {
+    try {
+      secrets = readSecretsFile(resolveSecretsPath(configPath, config), env);
+    } catch (e) {
+      problems.push(`secretsFile: ${e.message}`);
+    }
+  }
+  resolvePlaceholders(scope, { env, secrets }, '', problems);
+  if (scope !== config) Object.assign(config, scope, { credentials: config.credentials });
+
+  problems.push(...validateConfig(config));
+  if (problems.length) throw new ConfigError(configPath, problems);
+  return config;
+}
+
+/** Credentials block ({ username, password, hostname, auth }) of the configured env. */
+function resolveCredentials(config) {
+  return config.credentials[String(config.env).toLowerCase()];
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  resolveCredentials,
+  resolveSecretsPath,
+  resolveCompanyListPath,
+  ConfigError,
+  CONFIG_SCHEMA,
+  ENDPOINT_KEYS
+};
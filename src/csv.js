@@ -0,0 +1,142 @@
+// RFC 4180 CSV writing and reading for the per-company invoice files.
+// Fields containing a comma, quote, CR or LF are quoted; quotes are doubled.
+
+// Column order of PrePayment_Collection_Invoice_A_*.csv (OriginalBillingDocument: Scenario B only)
+const INVOICE_CSV_COLUMNS = [
+  'SalesOrder',
+  'SalesOrderItem',
+  'YY1_SALESFORCEID_I_SDI',
+  'Customer',
+  'AccountingDocument',
+  'CompanyCode',
+  'FiscalYear',
+  'OriginalBillingDocument'
+];
+
+// columns a CSV must have to be posted; older files have no OriginalBillingDocument
+const REQUIRED_INVOICE_COLUMNS = INVOICE_CSV_COLUMNS.filter(c => c !== 'OriginalBillingDocument');
+
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** rows: array of objects; columns: header names, in output order. */
+function formatCsv(columns, rows) {
+  const lines = [columns.map(formatField).join(',')];
+  for (const row of rows) lines.push(columns.map(c => formatField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * One row starting at text[i]: { fields, error, next, line } with the index and line after it,
+ * or { unterminated: true } when a quoted field runs to the end of the text.
+ */
+function readRow(text, i, line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  let error = null;
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; } else inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      // keep reading so the next row still starts at the right place
+      if (field !== '') {
+        error = error || 'unexpected quote inside an unquoted field';
+        field += ch;
+      } else {
+        inQuotes = true;
+      }
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      return { fields, error, next: i + 1, line: line + 1 };
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) return { unterminated: true };
+  fields.push(field);
+  return { fields, error, next: i, line };
+}
+
+/**
+ * Split CSV text into rows of fields. Each row carries the 1-based line it starts on,
+ * so errors can point at the right place even when quoted fields span lines. A row with
+ * broken quoting carries `error` instead of being trusted; an unterminated quote only
+ * costs its own line, parsing resumes on the next one.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel BOM
+  let line = 1;
+  while (i < text.length) {
+    const row = readRow(text, i, line);
+    if (row.unterminated) {
+      rows.push({ line, fields: [], error: 'unterminated quoted field' });
+      const newline = text.indexOf('\n', i);
+      i = newline === -1 ? text.length : newline + 1;
+      line++;
+      continue;
+    }
+    // skip blank lines
+    if (row.error || !(row.fields.length === 1 && row.fields[0] === '')) {
+      rows.push(row.error ? { line, fields: row.fields, error: row.error } : { line, fields: row.fields });
+    }
+    i = row.next;
+    line = row.line;
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by header name.
+ * Throws when the header is broken or a required column is missing; rows with broken
+ * quoting or a field count that differs from the header are returned in `errors`
+ * (with their line number) instead of `records`.
+ */
+function parseCsvRecords(text, { requiredColumns = [] } = {}) {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+  if (!headerRow) return { columns: [], records: [], errors: [] };
+  if (headerRow.error) throw new Error(`Line ${headerRow.line}: ${headerRow.error}`);
+
+  const columns = headerRow.fields.map(h => h.trim());
+  const missing = requiredColumns.filter(c => !columns.includes(c));
+  if (missing.length) throw new Error(`Missing CSV column(s): ${missing.join(', ')}`);
+
+  const records = [];
+  const errors = [];
+  for (const { line, fields, error } of dataRows) {
+    if (error) {
+      errors.push({ line, message: error });
+      continue;
+    }
+    if (fields.length !== columns.length) {
+      errors.push({ line, message: `expected ${columns.length} fields but got ${fields.length}` });
+      continue;
+    }
+    const record = {};
+    columns.forEach((c, idx) => { record[c] = fields[idx]; });
+    records.push(record);
+  }
+  return { columns, records, errors };
+}
+
+module.exports = {
+  INVOICE_CSV_COLUMNS,
+  REQUIRED_INVOICE_COLUMNS,
+  formatCsv,
+  parseCsvRows,
+  parseCsvRecords
+};
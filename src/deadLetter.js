@@ -0,0 +1,51 @@
+const path = require('path');
+const { readJsonFile, writeJsonAtomic } = require('./jsonStore');
+const { ledgerKey } = require('./ledger');
+
+// Dead-letter store: records whose POST ran out of retries, kept per company in
+// <outputfolder>/<CompanyCode>/deadletter.json until a replay delivers them.
+const DEAD_LETTER_FILE = 'deadletter.json';
+const DEAD_LETTER_VERSION = 1;
+
+function openDeadLetters(companyDir) {
+  const filePath = path.join(companyDir, DEAD_LETTER_FILE);
+  const raw = readJsonFile(filePath, {});
+  const entries = raw?.entries && typeof raw.entries === 'object' ? raw.entries : {};
+  const flush = () => writeJsonAtomic(filePath, { version: DEAD_LETTER_VERSION, entries });
+
+  return {
+    filePath,
+    list() {
+      return Object.values(entries);
+    },
+    get size() {
+      return Object.keys(entries).length;
+    },
+    add(rec, { url, payload, error, sourceCsv }) {
+      const key = ledgerKey(rec);
+      const now = new Date().toISOString();
+      const previous = entries[key];
+      entries[key] = {
+        key,
+        record: previous?.record || rec,
+        url,
+        payload,
+        sourceCsv: previous?.sourceCsv || sourceCsv,
+        error,
+        attempts: (previous?.attempts || 0) + 1,
+        firstFailedAt: previous?.firstFailedAt || now,
+        lastFailedAt: now
+      };
+      flush();
+      return entries[key];
+    },
+    remove(key) {
+      if (!entries[key]) return false;
+      delete entries[key];
+      flush();
+      return true;
+    }
+  };
+}
+
+module.exports = { openDeadLetters };
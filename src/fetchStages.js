@@ -0,0 +1,422 @@
+const pLimitModule = require('p-limit');
+const pLimit = pLimitModule.default || pLimitModule;
+const { eq, and, inList, build } = require('./odataFilter');
+const { entityKeyOf } = require('./odataKey');
+const { resolveRules, pickAccountingLine } = require('./businessRules');
+
+// The fetch pipeline as separate stages, shared by GetPrepaymentSOCollectionInvoiceList.js and
+// anything else that needs one step (reconciliation scripts, tests):
+//
+//   fetch headers  -> fetchSalesOrderHeaders / fetchScenarioBBillingDocuments
+//   fetch items    -> fetchDownPaymentItems  / fetchSalesOrderDetails
+//   resolve docs   -> resolveAccountingDocuments / resolveScenarioBDocuments
+//   flag filter    -> applyFlagFilter (both scenarios)
+//   build rows     -> buildScenarioBRecords, toCsvRow / buildCsvRows
+//
+// Stages do no file I/O. They take a context from createFetchContext() with the OData client,
+// config, business rules per CompanyCode (rules in config.yaml), endpoint URLs and concurrency
+// pools, and return plain data:
+//
+//   const ctx = createFetchContext({ odata, config, hostname });
+//   const headers = await fetchSalesOrderHeaders(ctx, 'SAC1');
+
+const DEFAULT_FLAG_BATCH_SIZE = 40;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.odata     client from createODataClient()
+ * @param {object} opts.config    validated config.yaml (cpi.endpoints, filteroutSO, odata)
+ * @param {string} opts.hostname  prefix for the cpi.endpoints paths
+ * @param {object} [opts.limits]  { soItem, acct, flag } p-limit pools (default 12 each)
+ * @param {object} [opts.log]     console-like logger
+ */
+function createFetchContext({ odata, config, hostname, limits = {}, log = console }) {
+  const endpoints = config.cpi.endpoints;
+  const url = name => hostname + endpoints[name];
+  const rules = new Map();
+  return {
+    odata,
+    config,
+    log,
+    /** Resolved business rules of one CompanyCode (defaults <- rules <- rules.overrides). */
+    rulesFor(CompanyCode) {
+      const code = String(CompanyCode ?? '').trim();
+      if (!rules.has(code)) rules.set(code, resolveRules(config, code));
+      return rules.get(code);
+    },
+    urls: {
+      header: url('FilterSalesOrderHeader'),
+      item: url('FilterSalesOrderItem'),
+      acct: url('GetAccountingDocument'),
+      flag: url('Flag'),
+      scenarioB: url('ScenarioB'),
+      salesOrderB: url('GetSalesOrderB')
+    },
+    limits: {
+      soItem: limits.soItem || pLimit(12),
+      acct: limits.acct || pLimit(12),
+      flag: limits.flag || pLimit(12)
+    }
+  };
+}
+
+// ---- Normal scenario ----------------------------------------------------------------
+
+/** Sales order headers of one CompanyCode (SalesOrganization), unfiltered. */
+async function fetchSalesOrderHeaders(ctx, CompanyCode) {
+  return ctx.odata.getAll(ctx.urls.header, { $filter: build(eq('SalesOrganization', String(CompanyCode))) }, { endpoint: 'FilterSalesOrderHeader' });
+}
+
+/** Headers with a prepayment scenario, minus the sales orders listed in config.filteroutSO. */
+function selectPrepaymentHeaders(headers, config) {
+  const filterOutSO = Array.isArray(config.filteroutSO)
+    ? config.filteroutSO.map(String)
+    : [];
+  return headers.filter(r =>
+    r?.YY1_PrepaymentScenario_SDH?.toString().trim() &&
+    r?.SalesOrder &&
+    !filterOutSO.includes(String(r.SalesOrder))
+  );
+}
+
+/**
+ * Items with a down payment status from rules.downPaymentStatuses per sales order, in parallel (soItem pool).
+ * Resolves to [{ CompanyCode, SalesOrder, Customer, SalesOrderItems }], sales orders without
+ * such items left out.
+ */
+async function fetchDownPaymentItems(ctx, CompanyCode, headers) {
+  const { downPaymentStatuses } = ctx.rulesFor(CompanyCode);
+  const salesOrders = [];
+  await Promise.all(
+    headers.map(h =>
+      ctx.limits.soItem(async () => {
+        const so = h.SalesOrder;
+        const items = await ctx.odata.getAll(ctx.urls.item, { $filter: build(eq('SalesOrder', String(so))) }, { endpoint: 'FilterSalesOrderItem' });
+
+        const list = items
+          .filter(it => downPaymentStatuses.includes(it.SlsOrderItemDownPaymentStatus))
+          .map(it => ({ SalesOrderItem: it.SalesOrderItem, YY1_SALESFORCEID_I_SDI: it.YY1_SALESFORCEID_I_SDI }));
+
+        if (list.length) {
+          salesOrders.push({ CompanyCode, SalesOrder: so, Customer: h.SoldToParty, SalesOrderItems: list });
+        }
+      })
+    )
+  );
+  return salesOrders;
+}
+
+/**
+ * FiscalYear / CompanyCode of an accounting line: the selected field, else the entity key
+ * (V2 __metadata.id, V4 @odata.id). null when neither has it.
+ */
+function accountingKeyField(row, field) {
+  const value = row[field];
+  if (value !== undefined && value !== null && String(value).trim() !== '') return String(value);
+  const key = entityKeyOf(row);
+  return key?.[field] ?? null;
+}
+
+/**
+ * The AccountingDocument and FiscalYear of every sales order item (acct pool): of the two
+ * lines per item, the one picked by rules.accountingLine (negative amount by default). AccountingLines and
+ * AccountingTotal (line count and amount sum) are kept for the balance check in recordValidation.js.
+ */
+async function resolveAccountingDocuments(ctx, salesOrders) {
+  return Promise.all(
+    salesOrders.flatMap(({ CompanyCode, SalesOrder, Customer, SalesOrderItems }) =>
+      SalesOrderItems.map(item =>
+        ctx.limits.acct(async () => {
+          const results = await ctx.odata.getAll(ctx.urls.acct, {
+            $filter: build(and(
+              eq('SalesDocument', String(SalesOrder)),
+              eq('SalesDocumentItem', String(item.SalesOrderItem))
+            )),
+            $select: 'AccountingDocument,AccountingDocumentItem,AmountInTransactionCurrency,FiscalYear,CompanyCode'
+          }, { endpoint: 'GetAccountingDocument' });
+
+          const rec = pickAccountingLine(results, ctx.rulesFor(CompanyCode));
+
+          // V2 sends Edm.Decimal as strings ("-50.00"); a non-numeric amount makes the total NaN
+          const totalAmount = results.reduce((sum, r) => sum + Number(r.AmountInTransactionCurrency ?? 0), 0);
+
+          const AccountingDocument = rec?.AccountingDocument || null;
+          let FiscalYear = null;
+          if (rec) {
+            FiscalYear = accountingKeyField(rec, 'FiscalYear');
+            if (!FiscalYear) {
+              ctx.log.warn(`Could not resolve FiscalYear of AccountingDocument ${AccountingDocument} for SalesOrder: ${SalesOrder}, Item: ${item.SalesOrderItem}`);
+            }
+            const lineCompany = accountingKeyField(rec, 'CompanyCode');
+            if (lineCompany && lineCompany !== String(CompanyCode)) {
+              ctx.log.warn(`AccountingDocument ${AccountingDocument} belongs to CompanyCode ${lineCompany}, not ${CompanyCode} (SalesOrder: ${SalesOrder}, Item: ${item.SalesOrderItem})`);
+            }
+          }
+          return {
+            CompanyCode, SalesOrder, Customer, SalesOrderItem: item, AccountingDocument, FiscalYear,
+            AccountingLines: results.length,
+            AccountingTotal: totalAmount
+          };
+        })
+      )
+    )
+  );
+}
+
+// ---- Scenario B -----------------------------------------------------------------------
+
+/** Scenario B billing documents of one CompanyCode in rules.invoiceClearingStatuses, tagged with the CompanyCode. */
+async function fetchScenarioBBillingDocuments(ctx, CompanyCode) {
+  const records = await ctx.odata.getAll(ctx.urls.scenarioB, {
+    $filter: build(and(
+      eq('SalesOrganization', String(CompanyCode)),
+      eq('YY1_PrepaymentScenario_BDH', 'B'),
+      inList('InvoiceClearingStatus', ctx.rulesFor(CompanyCode).invoiceClearingStatuses.map(String))
+    )),
+    $select: 'InvoiceClearingStatus,BillingDocument,YY1_PrepaymentScenario_BDH'
+  }, { endpoint: 'ScenarioB' });
+  return records.map(record => ({ ...record, CompanyCode }));
+}
+
+/**
+ * The accounting documents and sales order items behind each billing document (flag pool).
+ * A failed lookup is logged and leaves that billing document out.
+ */
+async function resolveScenarioBDocuments(ctx, CompanyCode, billingDocuments) {
+  const results = await Promise.all(
+    billingDocuments.map(record =>
+      ctx.limits.flag(async () => {
+        const { BillingDocument } = record;
+        if (!BillingDocument) return null;
+
+        try {
+          const salesOrderRecords = await ctx.odata.getAll(ctx.urls.salesOrderB, {
+            $filter: build(eq('ReferenceDocument', String(BillingDocument))),
+            $select: 'AccountingDocument,FiscalYear,SalesDocument,SalesDocumentItem'
+          }, { endpoint: 'GetSalesOrderB' });
+
+          return salesOrderRecords
+            .filter(fr => fr.SalesDocument && fr.SalesDocument.trim() !== '')
+            .map(fr => ({
+              CompanyCode,
+              BillingDocument,
+              AccountingDocument: fr.AccountingDocument,
+              FiscalYear: fr.FiscalYear,
+              SalesDocument: fr.SalesDocument,
+              SalesDocumentItem: fr.SalesDocumentItem
+            }));
+        } catch (error) {
+          ctx.log.error(`Error processing BillingDocument ${BillingDocument} for CompanyCode ${CompanyCode}:`, error.message);
+          return null;
+        }
+      })
+    )
+  );
+  return results.filter(Boolean).flat();
+}
+
+/**
+ * YY1_SALESFORCEID_I_SDI per item and the customer (SoldToParty) per sales order (soItem pool).
+ * Resolves to { items: Map so -> { SalesOrderItem: salesforceId }, customers: Map so -> SoldToParty };
+ * failed lookups are logged and left out of the maps.
+ */
+async function fetchSalesOrderDetails(ctx, salesOrders) {
+  const items = new Map();
+  const customers = new Map();
+
+  await Promise.all(
+    [...new Set(salesOrders)].map(so =>
+      ctx.limits.soItem(async () => {
+        if (!so) return;
+
+        try {
+          const itemRecords = await ctx.odata.getAll(ctx.urls.item, {
+            $filter: build(eq('SalesOrder', String(so))),
+            $select: 'SalesOrderItem,YY1_SALESFORCEID_I_SDI'
+          }, { endpoint: 'FilterSalesOrderItem' });
+
+          const itemMap = {};
+          itemRecords.forEach(item => {
+            if (item.SalesOrderItem && item.YY1_SALESFORCEID_I_SDI) {
+              itemMap[item.SalesOrderItem] = item.YY1_SALESFORCEID_I_SDI;
+            }
+          });
+          items.set(so, itemMap);
+        } catch (error) {
+          ctx.log.error(`Error getting items for SalesOrder ${so}:`, error.message);
+        }
+
+        try {
+          const headers = await ctx.odata.getAll(ctx.urls.header, {
+            $filter: build(eq('SalesOrder', String(so))),
+            $select: 'SalesOrder,SoldToParty'
+          }, { endpoint: 'FilterSalesOrderHeader' });
+          const customer = headers.find(h => h.SoldToParty)?.SoldToParty;
+          if (customer) customers.set(so, customer);
+          else ctx.log.warn(`No SoldToParty found for SalesOrder ${so}`);
+        } catch (error) {
+          ctx.log.error(`Error getting header for SalesOrder ${so}:`, error.message);
+        }
+      })
+    )
+  );
+  return { items, customers };
+}
+
+/** Scenario B documents in the shape of the normal scenario's records. */
+function buildScenarioBRecords(documents, { items, customers }) {
+  return documents.map(result => {
+    const itemMap = items.get(result.SalesDocument);
+    return {
+      CompanyCode: result.CompanyCode,
+      SalesOrder: result.SalesDocument,
+      Customer: customers.get(result.SalesDocument) || null,
+      SalesOrderItem: {
+        SalesOrderItem: result.SalesDocumentItem,
+        YY1_SALESFORCEID_I_SDI: itemMap ? itemMap[result.SalesDocumentItem] : null
+      },
+      AccountingDocument: result.AccountingDocument,
+      FiscalYear: result.FiscalYear,
+      OriginalBillingDocument: result.BillingDocument // Keep track of original billing document
+    };
+  });
+}
+
+// ---- Flag filter (both scenarios) --------------------------------------------------------
+
+// Flag rows for one CompanyCode; takes a list so callers can batch AccountingDocuments
+function flagLookupFilter(CompanyCode, accountingDocuments) {
+  return build(and(
+    inList('AccountingDocument', accountingDocuments.map(String)),
+    eq('CompanyCode', String(CompanyCode))
+  ));
+}
+
+/**
+ * Fetch Flag rows for many records with one request per CompanyCode and chunk of
+ * AccountingDocuments (an `or` disjunction) instead of one request per record.
+ * Resolves to a Map "CompanyCode|AccountingDocument" -> first Flag row ({} when none);
+ * with tolerateErrors, documents of a failed chunk map to null.
+ */
+async function fetchFlags(ctx, records, { batchSize = DEFAULT_FLAG_BATCH_SIZE, tolerateErrors = false } = {}) {
+  const docsByCompany = new Map();
+  for (const r of records) {
+    if (!r.AccountingDocument) continue;
+    const code = String(r.CompanyCode);
+    if (!docsByCompany.has(code)) docsByCompany.set(code, new Set());
+    docsByCompany.get(code).add(String(r.AccountingDocument));
+  }
+
+  const chunks = [];
+  for (const [code, docs] of docsByCompany) {
+    const list = [...docs];
+    for (let i = 0; i < list.length; i += batchSize) chunks.push({ code, docs: list.slice(i, i + batchSize) });
+  }
+
+  const flagMap = new Map();
+  await Promise.all(chunks.map(({ code, docs }) =>
+    ctx.limits.flag(async () => {
+      try {
+        const rows = await ctx.odata.getAll(ctx.urls.flag, { $filter: flagLookupFilter(code, docs) }, { endpoint: 'Flag' });
+        for (const doc of docs) flagMap.set(`${code}|${doc}`, {});
+        // keep the first row per document, like the former per-document lookup did
+        const seen = new Set();
+        for (const fr of rows) {
+          const doc = String(fr.AccountingDocument ?? '').trim();
+          if (!docs.includes(doc) || seen.has(doc)) continue;
+          seen.add(doc);
+          flagMap.set(`${code}|${doc}`, fr);
+        }
+      } catch (error) {
+        if (!tolerateErrors) throw error;
+        ctx.log.error(`Error checking flags for ${docs.length} AccountingDocuments in CompanyCode ${code}:`, error.message);
+        for (const doc of docs) flagMap.set(`${code}|${doc}`, null);
+      }
+    })
+  ));
+  ctx.log.log(`Checked flags for ${records.length} records with ${chunks.length} Flag requests`);
+  return flagMap;
+}
+
+/** Why a Flag row excludes its record ('status' or 'flag'), or null when it is kept. */
+function flagExclusionReason(fr, checkFlagNA, disallowedStatuses) {
+  const isDisallowedStatus = disallowedStatuses.includes(fr.Statuscode);
+
+  // Original flag check logic
+  let isAnyFlagYes = fr.FlagSFUpdated === 'Yes' || fr.FlagInvoiceSent === 'Yes';
+
+  // If CheckFlagNA is 'Yes' for this company code, also check for 'NA' values
+  if (checkFlagNA) {
+    isAnyFlagYes = isAnyFlagYes || fr.FlagSFUpdated === 'NA' || fr.FlagInvoiceSent === 'NA';
+  }
+
+  if (isDisallowedStatus) return 'status';
+  return isAnyFlagYes ? 'flag' : null;
+}
+
+/**
+ * Records whose Flag row allows processing. companyCodeConfigMap holds the workbook row per
+ * CompanyCode (CheckFlagNA); onExclude(record, reason) sees every dropped record.
+ */
+async function applyFlagFilter(ctx, records, companyCodeConfigMap, { tolerateErrors = false, onExclude = () => {} } = {}) {
+  const flagMap = await fetchFlags(ctx, records, {
+    batchSize: ctx.config.odata?.flagBatchSize || DEFAULT_FLAG_BATCH_SIZE,
+    tolerateErrors
+  });
+  return records.filter(r => {
+    if (!r.AccountingDocument) {
+      onExclude(r, 'noAccountingDocument');
+      return false;
+    }
+    const fr = flagMap.get(`${r.CompanyCode}|${r.AccountingDocument}`);
+    if (!fr) {
+      onExclude(r, 'flagLookupFailed');
+      return false;
+    }
+
+    // Get CheckFlagNA setting for this company code
+    const companyConfig = companyCodeConfigMap.get(r.CompanyCode);
+    const checkFlagNA = companyConfig?.CheckFlagNA === 'Yes';
+    const reason = flagExclusionReason(fr, checkFlagNA, ctx.rulesFor(r.CompanyCode).disallowedStatuses);
+    if (reason) onExclude(r, reason);
+    return !reason;
+  });
+}
+
+// ---- CSV rows -------------------------------------------------------------------------
+
+/** One record as a CSV row (INVOICE_CSV_COLUMNS); OriginalBillingDocument is only filled for Scenario B. */
+function toCsvRow(r) {
+  return {
+    SalesOrder: r.SalesOrder,
+    SalesOrderItem: r.SalesOrderItem.SalesOrderItem,
+    YY1_SALESFORCEID_I_SDI: r.SalesOrderItem.YY1_SALESFORCEID_I_SDI,
+    Customer: r.Customer,
+    AccountingDocument: r.AccountingDocument,
+    CompanyCode: r.CompanyCode,
+    FiscalYear: r.FiscalYear,
+    OriginalBillingDocument: r.OriginalBillingDocument
+  };
+}
+
+/** Flat rows for formatCsv(INVOICE_CSV_COLUMNS, ...). */
+function buildCsvRows(records) {
+  return records.map(toCsvRow);
+}
+
+module.exports = {
+  createFetchContext,
+  fetchSalesOrderHeaders,
+  selectPrepaymentHeaders,
+  fetchDownPaymentItems,
+  resolveAccountingDocuments,
+  fetchScenarioBBillingDocuments,
+  resolveScenarioBDocuments,
+  fetchSalesOrderDetails,
+  buildScenarioBRecords,
+  fetchFlags,
+  flagExclusionReason,
+  applyFlagFilter,
+  toCsvRow,
+  buildCsvRows
+};
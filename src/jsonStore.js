@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// write to a temp file then rename, so a crash mid-write never leaves a truncated file
+function writeFileAtomic(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, text, 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+function writeJsonAtomic(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Objects of a JSON Lines file, in order. A line that does not parse (the tail of a write
+ * cut short by a crash) is skipped; `clean` is false when that happened or the last line
+ * has no newline, i.e. the next append would be glued onto it.
+ */
+function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return { items: [], clean: true };
+  const text = fs.readFileSync(filePath, 'utf8');
+  const items = [];
+  let clean = text === '' || text.endsWith('\n');
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      clean = false;
+    }
+  }
+  return { items, clean };
+}
+
+function appendJsonLine(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(data)}\n`, 'utf8');
+}
+
+function writeJsonLinesAtomic(filePath, items) {
+  writeFileAtomic(filePath, items.map(item => `${JSON.stringify(item)}\n`).join(''));
+}
+
+module.exports = { readJsonFile, writeJsonAtomic, readJsonLines, appendJsonLine, writeJsonLinesAtomic };
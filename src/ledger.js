@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, readJsonLines, appendJsonLine, writeJsonLinesAtomic } = require('./jsonStore');
+
+// Idempotency ledger: one entry per successfully delivered record, kept as an append-only
+// JSON Lines log next to the company folders so operators can inspect it with any editor.
+// Each POST appends one line instead of rewriting the file; a later line for the same key
+// replaces the earlier one and { key, removed: true } forgets it. openLedger compacts the log
+// to one line per entry once it holds more stale lines than live ones (and at least 1000).
+const LEDGER_FILE = 'ledger.jsonl';
+const LEGACY_LEDGER_FILE = 'ledger.json'; // whole-file format of earlier versions
+const COMPACT_MIN_STALE = 1000;
+
+function ledgerKey(rec) {
+  const part = v => String(v ?? '').trim();
+  return [
+    part(rec.CompanyCode),
+    part(rec.AccountingDocument),
+    part(rec.FiscalYear),
+    `${part(rec.SalesOrder)}/${part(rec.SalesOrderItem)}`
+  ].join('|');
+}
+
+/** Replay the log into { key: entry }; `lines` counts the log lines read. */
+function readLedgerLog(filePath) {
+  const { items, clean } = readJsonLines(filePath);
+  const entries = {};
+  for (const item of items) {
+    if (!item?.key) continue;
+    if (item.removed) delete entries[item.key];
+    else entries[item.key] = item;
+  }
+  return { entries, lines: items.length, clean };
+}
+
+/**
+ * Open (or create) the ledger stored in <outputfolder>/ledger.jsonl.
+ * Every mutation is appended to disk immediately. With readOnly (dry runs) the files are
+ * never touched: no conversion of ledger.json, no compaction, and record/remove throw.
+ */
+function openLedger(outputfolder, { readOnly = false } = {}) {
+  const filePath = path.join(outputfolder, LEDGER_FILE);
+  const legacyPath = path.join(outputfolder, LEGACY_LEDGER_FILE);
+  let { entries, lines, clean } = readLedgerLog(filePath);
+  const live = () => Object.keys(entries).length;
+  const writable = () => {
+    if (readOnly) throw new Error(`ledger ${filePath} is opened read-only`);
+  };
+
+  if (!fs.existsSync(filePath) && fs.existsSync(legacyPath)) {
+    const raw = readJsonFile(legacyPath, {});
+    entries = raw?.entries && typeof raw.entries === 'object' ? raw.entries : {};
+    if (!readOnly) {
+      writeJsonLinesAtomic(filePath, Object.values(entries));
+      fs.unlinkSync(legacyPath);
+    }
+  } else if (!readOnly && (!clean || lines - live() > Math.max(COMPACT_MIN_STALE, live()))) {
+    // also drops a torn last line before the next append is glued onto it
+    writeJsonLinesAtomic(filePath, Object.values(entries));
+  }
+
+  return {
+    filePath,
+    has(rec) {
+      return Object.prototype.hasOwnProperty.call(entries, ledgerKey(rec));
+    },
+    get(key) {
+      return entries[key] || null;
+    },
+    list(companyCode) {
+      const all = Object.values(entries);
+      return companyCode ? all.filter(e => e.CompanyCode === companyCode) : all;
+    },
+    record(rec, { url, payload, status, sourceCsv }) {
+      writable();
+      const key = ledgerKey(rec);
+      const previous = entries[key];
+      entries[key] = {
+        key,
+        CompanyCode: String(rec.CompanyCode ?? '').trim(),
+        AccountingDocument: String(rec.AccountingDocument ?? '').trim(),
+        FiscalYear: String(rec.FiscalYear ?? '').trim(),
+        SalesOrder: String(rec.SalesOrder ?? '').trim(),
+        SalesOrderItem: String(rec.SalesOrderItem ?? '').trim(),
+        url,
+        payload,
+        status,
+        sourceCsv,
+        postedAt: new Date().toISOString(),
+        deliveries: (previous?.deliveries || 0) + 1
+      };
+      appendJsonLine(filePath, entries[key]);
+      return entries[key];
+    },
+    remove(key) {
+      writable();
+      if (!entries[key]) return false;
+      delete entries[key];
+      appendJsonLine(filePath, { key, removed: true });
+      return true;
+    }
+  };
+}
+
+module.exports = { openLedger, ledgerKey };
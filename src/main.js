@@ -2,8 +2,25 @@ const fs = require('fs');
 const path = require('path');
 const xlsx = require('xlsx');
 const axios = require('axios');
-const yaml = require('js-yaml');
+const pLimitModule = require('p-limit');
+const pLimit = pLimitModule.default || pLimitModule;
 const nodemailer = require('nodemailer'); // Added for email functionality
+const { openLedger, ledgerKey } = require('./ledger');
+const { openDeadLetters } = require('./deadLetter');
+const { openCheckpoint, csvStillPending } = require('./checkpoint');
+const { createRunReport, writeRunReport, renderEmailHtml } = require('./runReport');
+const { planEmails, planAttachments } = require('./alerts');
+const { sendNotifications } = require('./notify');
+const { parseArgs, USAGE } = require('./cli');
+const yaml = require('js-yaml');
+const { loadConfig: loadValidatedConfig, resolveCredentials, resolveSecretsPath, resolveCompanyListPath, ConfigError } = require('./config');
+const { encryptSecrets, readSecretsFile, SECRETS_KEY_ENV } = require('./secrets');
+const { writeJsonAtomic } = require('./jsonStore');
+const { getAuthProvider, applyAuth } = require('./auth');
+const { parseCsvRecords, REQUIRED_INVOICE_COLUMNS } = require('./csv');
+const { resolvePerformance } = require('./performance');
+const { resolveRules } = require('./businessRules');
+const { buildCompanyFilter, applyCompanyFilter, describeCompanyFilter } = require('./companyFilter');
 
 const isPkg = typeof process.pkg !== 'undefined';
 const baseDir = isPkg
@@ -14,6 +31,7 @@ const baseDir = isPkg
 const LOG_DIR = process.env.LOG_DIR || path.join(baseDir, 'logs');
 if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 const logFile = path.join(LOG_DIR, `run_${new Date().toISOString().slice(0,10)}.log`);
+const REPORT_DIR = process.env.REPORT_DIR || path.join(baseDir, 'reports');
 const logStream = fs.createWriteStream(logFile, { flags: 'a' });
 
 // Store current run logs in memory for email attachment
@@ -43,6 +61,19 @@ process.on('unhandledRejection', (e) => console.error('UnhandledRejection:', e?.
 process.on('uncaughtException',  (e) => console.error('UncaughtException:',  e?.stack || e));
 // === END LOGGING ===
 
+// === RUN OPTIONS ===
+let cli;
+try {
+  cli = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.stdout.write(USAGE);
+  process.exit(2);
+}
+const { command, args: commandArgs, options } = cli;
+// --dry-run: fetch + build payloads as usual, but never POST or archive; write a "would post" report instead
+const dryRun = options.dryRun;
+
 // insert in to fix duplicate
 const fsp = fs.promises;
 
@@ -99,7 +130,9 @@ async function archiveCsv(dirPath, fileName) {
   console.log('Archiving to folder:', archiveDir);
   const ts = Date.now();
   const archivedName = `${path.parse(fileName).name}.${ts}.csv`;
-  await moveFileSafe(path.join(dirPath, fileName), path.join(archiveDir, archivedName));
+  const dest = path.join(archiveDir, archivedName);
+  await moveFileSafe(path.join(dirPath, fileName), dest);
+  return dest;
 }
 
 // ---- Pre-sweep helpers to ensure every company folder gets an archive/ created
@@ -155,12 +188,16 @@ async function runDataScript() {
       console.error('GetPrepaymentSOCollectionInvoiceList did not export a function');
       return;
     }
-    await fetchAllData();
+    return await fetchAllData(options); // per-company step counts for the run report
   } catch (e) {
     console.error('Data script crashed while loading or running:', e?.stack || e);
+    return null;
   }
 }
 
+// CPI client for the PrepaymentAutomation POSTs; auth is installed in resolvePostTarget
+const cpiHttp = axios.create({ timeout: 30000 });
+
 // --- Retry + error helpers ---
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -181,24 +218,39 @@ function formatAxiosError(err, url, body) {
   };
 }
 
-async function postJsonWithRetry(url, body, options = {}, retryCfg = { retries: 2, backoffMs: 1000 }) {
+async function postJsonWithRetry(url, body, options = {}, retryCfg = { retries: 2, backoffMs: 1000 }, log = console) {
   const { retries, backoffMs } = retryCfg;
   let attempt = 0;
   while (attempt <= retries) {
     try {
-      const resp = await axios.post(url, body, { timeout: 30000, ...options });
+      const resp = await cpiHttp.post(url, body, options);
       return resp;
     } catch (err) {
-      console.error('CPI POST failed:', formatAxiosError(err, url, body));
+      log.error('CPI POST failed:', formatAxiosError(err, url, body));
       attempt++;
       if (attempt > retries) throw err;
       const wait = backoffMs * attempt; // linear backoff
-      console.warn(`Retrying in ${wait} ms (attempt ${attempt}/${retries})...`);
+      log.warn(`Retrying in ${wait} ms (attempt ${attempt}/${retries})...`);
       await sleep(wait);
     }
   }
 }
 
+// Holds the console lines of one record posted in parallel (its retries, then the outcome),
+// so they are printed together instead of interleaved with other records
+function createLogBuffer() {
+  const lines = [];
+  const push = level => (...args) => lines.push([level, args]);
+  return {
+    log: push('log'),
+    warn: push('warn'),
+    error: push('error'),
+    flush() {
+      for (const [level, args] of lines.splice(0)) console[level](...args);
+    }
+  };
+}
+
 function getNewestCsvForCompany(outputfolder, companyCode) {
   const dirPath = path.join(outputfolder, String(companyCode ?? '').trim());
   if (!fs.existsSync(dirPath)) return { dirPath, newestPath: null, newestName: null };
@@ -218,18 +270,77 @@ function getNewestCsvForCompany(outputfolder, companyCode) {
   return { dirPath, newestPath, newestName };
 }
 
+// Columns are mapped by header name; rows with the wrong field count are rejected (never posted)
+/** Records of a posting CSV, plus `errors` ({ line, message }) for rows that could not be read. */
 function parseCsv(csvPath) {
   const content = fs.readFileSync(csvPath, 'utf8');
-  const lines = content.split(/\r?\n/).filter(l => l.trim());
-  const rows = lines.slice(1);
-  return rows.map(line => {
-    const [SalesOrder, SalesOrderItem, YY1_SALESFORCEID_I_SDI, Customer, AccountingDocument, CompanyCode, FiscalYear] = line.split(',');
-    return { SalesOrder, SalesOrderItem, YY1_SALESFORCEID_I_SDI, Customer, AccountingDocument, CompanyCode, FiscalYear };
-  });
+  const { records, errors } = parseCsvRecords(content, { requiredColumns: REQUIRED_INVOICE_COLUMNS });
+  for (const e of errors) {
+    console.error(`Rejected row at line ${e.line} of ${path.basename(csvPath)}: ${e.message}`);
+  }
+  return { records, errors };
+}
+
+// malformed CSV rows count as failed records of the run; the archived CSV keeps them for a fix
+const rowFailure = e => ({ AccountingDocument: null, line: e.line, status: null, message: `line ${e.line}: ${e.message}` });
+
+// payload field -> CSV column; override per scenario under cpi.payloadMapping in config.yaml
+const DEFAULT_PAYLOAD_MAPPING = {
+  Accountingdocument: 'AccountingDocument',
+  SFID_I: 'YY1_SALESFORCEID_I_SDI',
+  Customer: 'Customer',
+  SalesDocument: 'SalesOrder',
+  SalesDocumentItem: 'SalesOrderItem',
+  Companycode: 'CompanyCode',
+  Fiscalyear: 'FiscalYear'
+};
+
+const DEFAULT_PAYLOAD_MAPPING_B = {
+  ...DEFAULT_PAYLOAD_MAPPING,
+  OriginalBillingDocument: 'OriginalBillingDocument'
+};
+
+function buildPayload(rec, mapping = DEFAULT_PAYLOAD_MAPPING) {
+  const payload = {};
+  for (const [field, column] of Object.entries(mapping)) payload[field] = rec[column];
+  return payload;
+}
+
+function fileTimestamp(d = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+/**
+ * Dry-run: write what would have been POSTed for one company to <company>/dryrun/.
+ * The CSV itself is left untouched so the real run picks it up afterwards.
+ */
+function writeDryRunReport(dirPath, companyCode, sourceCsv, url, payloads, alreadyDelivered = []) {
+  const reportDir = path.join(dirPath, 'dryrun');
+  ensureDir(reportDir);
+  const reportPath = path.join(reportDir, `WouldPost_${companyCode}_${fileTimestamp()}.json`);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    companyCode,
+    sourceCsv,
+    method: 'POST',
+    url,
+    recordCount: payloads.length,
+    payloads,
+    alreadyDeliveredCount: alreadyDelivered.length,
+    alreadyDelivered
+  };
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  return reportPath;
 }
 
 // === EMAIL FUNCTIONALITY ===
-async function sendLogEmail(config) {
+/**
+ * Email the run summary: HTML tables per company in the body, the plain log attached, and
+ * optionally (email.attachments) the posted CSVs and the run report. email.alerts and
+ * email.companyRecipients decide who is mailed (see alerts.js).
+ */
+async function sendLogEmail(config, report, reportFiles) {
   try {
     const emailConfig = config.email;
     if (!emailConfig) {
@@ -237,6 +348,15 @@ async function sendLogEmail(config) {
       return;
     }
 
+    // without a report (fatal error) only the central recipients get the log
+    const plans = report
+      ? planEmails(report, emailConfig)
+      : [{ to: emailConfig.to, cc: emailConfig.cc, codes: null, report: null, reasons: [] }];
+    if (!plans.length) {
+      console.log('No email to send for this run');
+      return;
+    }
+
     // Create transporter
     const transporter = nodemailer.createTransport({
       host: emailConfig.smtp?.host || 'smtp.gmail.com',
@@ -252,90 +372,336 @@ async function sendLogEmail(config) {
     const logContent = currentRunLogs.join('');
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const logFileName = `prepayment-automation-log-${timestamp}.txt`;
+    const attach = { log: true, csv: false, report: false, ...emailConfig.attachments };
 
-    // Email options
-    const mailOptions = {
-      from: emailConfig.from || emailConfig.smtp?.user,
-      to: emailConfig.to,
-      cc: emailConfig.cc,
-      subject: emailConfig.subject || `Prepayment Automation Log - ${new Date().toLocaleDateString()}`,
-      text: `Please find attached the log file from the prepayment automation run.\n\nRun completed at: ${new Date().toISOString()}`,
-      attachments: [
-        {
-          filename: logFileName,
-          content: Buffer.from(logContent, 'utf8'),
-          contentType: 'text/plain'
-        }
-      ]
-    };
+    for (const plan of plans) {
+      const scoped = plan.report;
+      const attachments = planAttachments(plan, attach, { log: { filename: logFileName, content: logContent }, reportFiles });
 
-    console.log(`Sending email to: ${emailConfig.to}`);
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`Email sent successfully: ${info.messageId}`);
+      const t = scoped?.totals;
+      const outcome = scoped?.status === 'success' ? '[SUCCESS] ' : '[FAILED] ';
+      const scope = plan.codes ? ` - ${plan.codes.join(', ')}` : '';
+
+      // Email options
+      const mailOptions = {
+        from: emailConfig.from || emailConfig.smtp?.user,
+        to: plan.to,
+        cc: plan.cc,
+        subject: (dryRun ? '[DRY RUN] ' : '') + outcome + (emailConfig.subject || `Prepayment Automation Log - ${new Date().toLocaleDateString()}`) + scope,
+        text: (t
+          ? `Prepayment automation run ${scoped.runId || ''}: ${t.posted} posted, ${t.failed} failed, ${t.skipped} skipped.`
+          : 'Please find attached the log file from the prepayment automation run.') + `\n\nRun completed at: ${new Date().toISOString()}`,
+        html: scoped ? renderEmailHtml(scoped, { reasons: plan.reasons }) : undefined,
+        attachments
+      };
+
+      console.log(`Sending email to: ${plan.to}${plan.reasons.length ? ` (${plan.reasons.join('; ')})` : ''}`);
+      const info = await transporter.sendMail(mailOptions);
+      console.log(`Email sent successfully: ${info.messageId}`);
+    }
 
   } catch (error) {
     console.error('Failed to send email:', error?.message || error);
   }
 }
 
-async function main() {
-  console.log('Startup diagnostics →', { isPkg, cwd: process.cwd(), execPath: process.execPath, baseDir });
-
-  await runDataScript();
+function resolveConfigPath() {
+  return options.configPath ? path.resolve(options.configPath) : path.join(baseDir, 'config.yaml');
+}
 
-  // load config.yaml
-  const configPath = path.join(baseDir, 'config.yaml');
+function loadConfig() {
+  const configPath = resolveConfigPath();
   console.log('Config path:', configPath);
-  if (!fs.existsSync(configPath)) {
-    console.error('config.yaml not found at', configPath);
-    return;
-  }
-  let config;
   try {
-    config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+    return loadValidatedConfig(configPath);
   } catch (e) {
-    console.error('Failed to parse config.yaml:', e?.stack || e);
-    return;
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(`config.yaml at ${configPath} is invalid:`);
+    for (const problem of e.problems) console.error(`  - ${problem}`);
+    return null;
   }
+}
+
+// === SECRETS COMMAND ===
+// node src/main.js secrets encrypt <plain.yaml> [out] [--merge | --force] | list
+// The passphrase always comes from PREPAY_SECRETS_KEY, never from the command line.
+function secretsCommand(args) {
+  const [action, input, output] = args;
+  const configPath = resolveConfigPath();
+  const rawConfig = fs.existsSync(configPath) ? yaml.load(fs.readFileSync(configPath, 'utf8')) : {};
+  const secretsPath = output ? path.resolve(output) : resolveSecretsPath(configPath, rawConfig);
+  const passphrase = process.env[SECRETS_KEY_ENV];
 
-  // NOTE: adjust to match your real structure
-  const { username, password } = (config.credentials?.cpi ?? config.credentials ?? {});
-  const automationUrl = config.cpi?.endpoints?.PrepaymentAutomation || config.cpi?.endpoints?.prepaymentAutomation;
-  if (!automationUrl) {
-    console.error('Missing PrepaymentAutomation endpoint in config.yaml');
+  switch (action) {
+    case 'encrypt': {
+      if (!input || !passphrase) {
+        console.error(`Usage: ${SECRETS_KEY_ENV}=<key> main.js secrets encrypt <plain.yaml> [out] [--merge | --force]`);
+        process.exitCode = 1;
+        return;
+      }
+      const values = yaml.load(fs.readFileSync(path.resolve(input), 'utf8')) || {};
+      // an existing file is only replaced on request, so stored secrets are not lost by accident
+      let kept = {};
+      if (fs.existsSync(secretsPath) && !options.force) {
+        if (!options.merge) {
+          console.error(`${secretsPath} already exists; use --merge to add these secrets to it or --force to replace it`);
+          process.exitCode = 1;
+          return;
+        }
+        kept = readSecretsFile(secretsPath);
+      }
+      const secrets = { ...kept, ...values };
+      writeJsonAtomic(secretsPath, encryptSecrets(secrets, passphrase));
+      const merged = Object.keys(kept).length ? ` (${Object.keys(kept).filter(k => !(k in values)).length} kept from the existing file)` : '';
+      console.log(`Encrypted ${Object.keys(secrets).length} secrets to ${secretsPath}${merged} — delete the plaintext ${input} now`);
+      return;
+    }
+    case 'list': {
+      // names only, values are never printed
+      const names = Object.keys(readSecretsFile(secretsPath));
+      console.log(`${names.length} secrets in ${secretsPath}: ${names.join(', ')}`);
+      return;
+    }
+    default:
+      console.error('Usage: secrets encrypt <plain.yaml> [out] | list');
+      process.exitCode = 1;
+  }
+}
+
+// === VALIDATE-CONFIG COMMAND ===
+// node src/main.js validate-config — check config.yaml without running anything
+function validateConfigCommand() {
+  const config = loadConfig();
+  if (!config) {
+    process.exitCode = 1;
     return;
   }
-  const auth = { username, password };
+  console.log('config.yaml is valid');
+}
+
+function resolveOutputFolder(config) {
+  return options.outputFolder || config.outputfolder || path.join(baseDir, 'output');
+}
 
-  // Read Workbook
-  const workbookPath = path.join(baseDir, 'CompanyCodeList.xlsx');
+function loadCompanies(config) {
+  const workbookPath = resolveCompanyListPath(resolveConfigPath(), config, baseDir);
   console.log('Company list path:', workbookPath);
   if (!fs.existsSync(workbookPath)) {
     console.error('CompanyCodeList.xlsx not found at', workbookPath);
-    return;
+    return null;
   }
   const workbook = xlsx.readFile(workbookPath);
   const sheet = workbook.Sheets[workbook.SheetNames[0]];
-  const companies = xlsx.utils.sheet_to_json(sheet);
-  console.log(`Loaded ${companies.length} companies from CompanyCodeList.xlsx`);
+  const rows = xlsx.utils.sheet_to_json(sheet);
+  const companyFilter = buildCompanyFilter(config, options);
+  const companies = applyCompanyFilter(rows, companyFilter);
+  console.log(`Loaded ${rows.length} companies from CompanyCodeList.xlsx (${companies.length} selected, filters: ${describeCompanyFilter(companyFilter)})`);
+  return companies;
+}
+
+function resolvePostTarget(config) {
+  const perf = resolvePerformance(config);
+  cpiHttp.defaults.timeout = perf.postTimeoutMs;
+  // same auth provider (and OAuth2 token cache) as the fetcher's http client
+  applyAuth(cpiHttp, getAuthProvider(resolveCredentials(config), { baseDir: path.dirname(resolveConfigPath()), maxSockets: perf.maxSockets }));
+  const automationUrl = config.cpi.endpoints.PrepaymentAutomation;
+  // Scenario B is optional: without its endpoint, B companies are skipped with a warning
+  const automationUrlB = config.cpi.endpoints.PrepaymentAutomationB;
+  const retryCfg = { retries: perf.postRetries, backoffMs: perf.postBackoffMs };
+  return { automationUrl, automationUrlB, retryCfg };
+}
+
+/** URL + payload mapping for a company's scenario, or null when that scenario cannot be posted. */
+function postingProfile(config, target, scenario) {
+  const mappings = config.cpi?.payloadMapping || {};
+  if (scenario === 'B') {
+    if (!target.automationUrlB) return null;
+    return { url: target.automationUrlB, mapping: mappings.B || DEFAULT_PAYLOAD_MAPPING_B };
+  }
+  return { url: target.automationUrl, mapping: mappings.normal || DEFAULT_PAYLOAD_MAPPING };
+}
+
+// === LEDGER COMMAND ===
+/**
+ * Bookkeeping once CPI accepted a record: write the ledger entry, then drop its dead letter.
+ * Kept out of the POST's try, so a failed write never dead-letters a delivered record (which a
+ * replay would then post twice). Returns what went wrong, or null.
+ */
+function recordDelivery(ledger, deadLetters, rec, delivery) {
+  try {
+    ledger.record(rec, delivery);
+  } catch (err) {
+    return `posted but not written to the ledger: ${err?.message || err}`;
+  }
+  try {
+    deadLetters?.remove(ledgerKey(rec));
+  } catch (err) {
+    // harmless: replay drops dead letters that the ledger already has
+    return `posted but not removed from the dead letters: ${err?.message || err}`;
+  }
+  return null;
+}
+
+// node src/main.js ledger list [CompanyCode] | show <key> | clear <key> | replay <key>
+async function ledgerCommand(args) {
+  const [action, arg] = args;
+  const config = loadConfig();
+  if (!config) return;
+  const outputfolder = resolveOutputFolder(config);
+  const ledger = openLedger(outputfolder);
+
+  switch (action) {
+    case 'list': {
+      const entries = ledger.list(arg);
+      for (const e of entries) {
+        console.log(`${e.key}  status=${e.status}  postedAt=${e.postedAt}  deliveries=${e.deliveries}`);
+      }
+      console.log(`${entries.length} ledger entries in ${ledger.filePath}`);
+      return;
+    }
+    case 'show': {
+      const entry = ledger.get(arg);
+      if (!entry) {
+        console.error(`No ledger entry for key ${arg}`);
+        return;
+      }
+      console.log(JSON.stringify(entry, null, 2));
+      return;
+    }
+    case 'clear': {
+      // removing an entry lets the next run post that record again
+      if (ledger.remove(arg)) console.log(`Cleared ledger entry ${arg}`);
+      else console.error(`No ledger entry for key ${arg}`);
+      return;
+    }
+    case 'replay': {
+      const entry = ledger.get(arg);
+      if (!entry) {
+        console.error(`No ledger entry for key ${arg}`);
+        return;
+      }
+      const { retryCfg } = resolvePostTarget(config); // installs CPI auth
+      let resp;
+      try {
+        resp = await postJsonWithRetry(entry.url, entry.payload, {}, retryCfg);
+      } catch (err) {
+        console.error(`✗ Error Replaying ${entry.AccountingDocument}/${entry.CompanyCode}`, formatAxiosError(err, entry.url, entry.payload));
+        return;
+      }
+      console.log(`→ Replayed ${entry.AccountingDocument} for ${entry.CompanyCode}: ${resp.status}`);
+      const problem = recordDelivery(ledger, null, entry, { url: entry.url, payload: entry.payload, status: resp.status, sourceCsv: entry.sourceCsv });
+      if (problem) console.error(`✗ ${entry.AccountingDocument}/${entry.CompanyCode} ${problem}`);
+      return;
+    }
+    default:
+      console.error('Usage: ledger list [CompanyCode] | show <key> | clear <key> | replay <key>');
+  }
+}
+
+// === REPLAY COMMAND ===
+// node src/main.js replay [CompanyCode] — re-post dead-lettered records only
+async function replayCommand(args) {
+  const [companyFilter] = args;
+  const config = loadConfig();
+  if (!config) return;
+  const { retryCfg } = resolvePostTarget(config); // installs CPI auth
+
+  const outputfolder = resolveOutputFolder(config);
+  const ledger = openLedger(outputfolder);
+  const companyDirs = companyFilter
+    ? [path.join(outputfolder, companyFilter)]
+    : listSubdirs(outputfolder);
 
-  const outputfolder = config.outputfolder || path.join(baseDir, 'output');
+  let replayed = 0;
+  let failed = 0;
+  for (const dirPath of companyDirs) {
+    const deadLetters = openDeadLetters(dirPath);
+    if (!deadLetters.size) continue;
+    console.log(`Replaying ${deadLetters.size} dead-lettered records from ${deadLetters.filePath}`);
+
+    for (const entry of deadLetters.list()) {
+      const rec = entry.record;
+      // delivered by a later run or a ledger replay in the meantime
+      if (ledger.has(rec)) {
+        deadLetters.remove(entry.key);
+        console.log(`Already delivered according to the ledger, dropping ${entry.key}`);
+        continue;
+      }
+      let resp;
+      try {
+        resp = await postJsonWithRetry(entry.url, entry.payload, {}, retryCfg);
+      } catch (err) {
+        const error = formatAxiosError(err, entry.url, entry.payload);
+        deadLetters.add(rec, { url: entry.url, payload: entry.payload, error, sourceCsv: entry.sourceCsv });
+        failed++;
+        console.error(`✗ Error Replaying ${rec.AccountingDocument}/${rec.CompanyCode}`, error);
+        continue;
+      }
+      replayed++;
+      console.log(`→ Replayed ${rec.AccountingDocument} for ${rec.CompanyCode}: ${resp.status}`);
+      const problem = recordDelivery(ledger, deadLetters, rec, { url: entry.url, payload: entry.payload, status: resp.status, sourceCsv: entry.sourceCsv });
+      if (problem) console.error(`✗ ${rec.AccountingDocument}/${rec.CompanyCode} ${problem}`);
+    }
+  }
+  console.log(`Replay finished: ${replayed} delivered, ${failed} still dead-lettered`);
+}
+
+// === STATUS COMMAND ===
+// node src/main.js status — pending (not yet archived) CSVs per company
+async function statusCommand() {
+  const config = loadConfig();
+  if (!config) return;
+  const companies = loadCompanies(config);
+  if (!companies) return;
+  const outputfolder = resolveOutputFolder(config);
   console.log('Output folder:', outputfolder);
 
-  // 🔹 NEW: archive older CSVs in ALL company folders up-front
-  await sweepArchiveAll(outputfolder);
+  for (const row of companies) {
+    const code = String(row.CompanyCode ?? '').trim();
+    if (!code) continue;
+    const dirPath = path.join(outputfolder, code);
+    const csvs = fs.existsSync(dirPath)
+      ? fs.readdirSync(dirPath).filter(f => /\.csv$/i.test(f) && !f.startsWith('~$'))
+      : [];
+    const { newestName } = getNewestCsvForCompany(outputfolder, code);
+    const deadLetters = openDeadLetters(dirPath);
+    console.log(`${code} (Scenario=${row.Scenario}, InvoiceType=${row.InvoiceType}): ${csvs.length} pending CSVs, ${deadLetters.size} dead-lettered`);
+    for (const f of csvs) {
+      const { records, errors } = parseCsv(path.join(dirPath, f));
+      const malformed = errors.length ? `, ${errors.length} malformed rows` : '';
+      console.log(`  ${f === newestName ? '*' : ' '} ${f} (${records.length} records${malformed})`);
+    }
+  }
+}
+
+/** Post the newest CSV of every selected company, then archive it. */
+async function postCompanies(config, checkpoint, report) {
+  const target = resolvePostTarget(config);
+
+  const companies = loadCompanies(config);
+  if (!companies) return;
+
+  const outputfolder = resolveOutputFolder(config);
+  console.log('Output folder:', outputfolder);
+
+  // a dry run only reads the ledger: no conversion or compaction either
+  const ledger = openLedger(outputfolder, { readOnly: dryRun });
+  console.log(`Ledger: ${ledger.list().length} delivered records in ${ledger.filePath}`);
 
   // ────────────────────────────────────────────────────────────
-  // SINGLE-PASS over companies (no nested second loop)
+  // SINGLE-PASS over companies (no nested second loop): pick, archive and parse each
+  // company's CSV, then post all of them through the shared pools below
   // ────────────────────────────────────────────────────────────
+  const jobs = [];
   for (const row of companies) {
     const codeRaw = row.CompanyCode;
     const invoiceType = row.InvoiceType;
     const scenario = row.Scenario;
 
-    // Filter once
-    if (invoiceType !== 'EInvoice' || scenario === 'B') {
+    // Filter once — the InvoiceType gate (rules.postInvoiceTypes) applies to both scenarios
+    if (!resolveRules(config, codeRaw).postInvoiceTypes.includes(invoiceType)) {
       console.log(`Skipping ${codeRaw} due to InvoiceType/Scenario → InvoiceType=${invoiceType}, Scenario=${scenario}`);
+      report.note(codeRaw, `not posted: InvoiceType=${invoiceType}`);
       continue;
     }
 
@@ -345,100 +711,351 @@ async function main() {
       continue;
     }
 
+    const profile = postingProfile(config, target, scenario);
+    if (!profile) {
+      console.warn(`Skipping ${code}: Scenario B needs cpi.endpoints.PrepaymentAutomationB in config.yaml`);
+      report.note(code, 'not posted: PrepaymentAutomationB not configured');
+      continue;
+    }
+    const { url: automationUrl, mapping } = profile;
+
+    // set when resuming: { csv, stage, lastIndex } from the interrupted run
+    const saved = checkpoint.company(code);
+    if (saved?.stage === 'done') {
+      console.log(`Skipping ${code}: already completed in run ${checkpoint.runId}`);
+      report.note(code, 'already completed before resume');
+      continue;
+    }
+
     console.log(`Processing CompanyCode: ${code}`);
 
-    const { dirPath, newestPath: csvPath, newestName } = getNewestCsvForCompany(outputfolder, code);
+    let { dirPath, newestPath: csvPath, newestName } = getNewestCsvForCompany(outputfolder, code);
+    if (saved?.csv) {
+      if (!csvStillPending(dirPath, saved.csv)) {
+        // posted and archived just before the interruption
+        console.log(`${saved.csv} for ${code} was already archived by run ${checkpoint.runId}`);
+        checkpoint.updateCompany(code, { stage: 'done' });
+        report.note(code, 'already completed before resume');
+        continue;
+      }
+      newestName = saved.csv;
+      csvPath = path.join(dirPath, newestName);
+    }
 
     if (!csvPath) {
       console.warn(`No CSV found for ${code} in ${dirPath}`);
+      report.note(code, 'no CSV to post');
       continue;
     }
 
     // Archive all older CSVs first — keep only the newest visible
-    try {
-      await archiveOldCsvs(dirPath, newestName);
-      console.log(`Archived older CSVs for ${code} (kept newest: ${newestName})`);
-    } catch (e) {
-      console.error(`Archive older CSVs failed for ${code}:`, e?.message || e);
+    if (!dryRun) {
+      try {
+        await archiveOldCsvs(dirPath, newestName);
+        console.log(`Archived older CSVs for ${code} (kept newest: ${newestName})`);
+      } catch (e) {
+        console.error(`Archive older CSVs failed for ${code}:`, e?.message || e);
+      }
     }
 
     // Parse newest; if empty, archive it and skip to avoid duplicate/no-op runs
     let records = [];
+    let rowFailures = [];
     try {
-      records = parseCsv(csvPath);
+      const parsed = parseCsv(csvPath);
+      records = parsed.records;
+      rowFailures = parsed.errors.map(rowFailure);
       console.log(`Parsed ${records.length} records from ${newestName}`);
+      if (rowFailures.length) {
+        console.error(`${rowFailures.length} malformed rows in ${newestName} for ${code} — counted as failed`);
+        report.note(code, `${rowFailures.length} malformed rows in ${newestName}`);
+      }
     } catch (e) {
+      // none of its records were posted: leave the file in place to be fixed and fail the company
       console.error(`Parse failed for ${csvPath}:`, e?.message || e);
-      // Archive the problematic file and continue with next company
-      try {
-        await archiveCsv(dirPath, newestName);
-        console.log(`Archived unreadable CSV for ${code}: ${newestName}`);
-      } catch (ae) {
-        console.error(`Failed to archive unreadable CSV for ${code}:`, ae?.message || ae);
+      report.note(code, `unreadable CSV ${newestName}, left in place`);
+      if (!dryRun) {
+        const failure = { AccountingDocument: null, status: null, message: `unreadable CSV: ${e?.message || e}` };
+        report.recordPost(code, { csv: newestName, csvPath, posted: 0, failed: 1, skipped: 0, failures: [failure] });
       }
       continue;
     }
 
     if (!records.length) {
+      if (!rowFailures.length) report.note(code, `empty CSV ${newestName}`);
+      if (dryRun) {
+        const reportPath = writeDryRunReport(dirPath, code, newestName, automationUrl, []);
+        console.warn(`DRY RUN: CSV for ${code} has no items. Would archive and skip. Report: ${reportPath}`);
+        continue;
+      }
       console.warn(`CSV for ${code} has no items. Archiving and skipping.`);
+      let archivedPath = csvPath;
       try {
-        await archiveCsv(dirPath, newestName);
+        archivedPath = await archiveCsv(dirPath, newestName);
       } catch (e) {
         console.error(`Failed to archive empty CSV for ${code}:`, e?.message || e);
       }
+      if (rowFailures.length) {
+        report.recordPost(code, { csv: newestName, csvPath: archivedPath, posted: 0, failed: rowFailures.length, skipped: 0, failures: rowFailures });
+      }
       continue;
     }
 
-    // Post each record with retry + rich error logging
-    for (const rec of records) {
-      const payload = {
-        Accountingdocument: rec.AccountingDocument,
-        SFID_I: rec.YY1_SALESFORCEID_I_SDI,
-        Customer: rec.Customer,
-        SalesDocument: rec.SalesOrder,
-        SalesDocumentItem: rec.SalesOrderItem,
-        Companycode: rec.CompanyCode,
-        Fiscalyear: rec.FiscalYear
-      };
+    // Records up to lastIndex were committed by the interrupted run
+    const lastIndex = saved?.lastIndex ?? -1;
+    if (lastIndex >= 0) {
+      console.log(`Resuming ${code} after record ${lastIndex + 1} of ${records.length} (run ${checkpoint.runId})`);
+    }
+    const remaining = records.map((rec, index) => ({ rec, index })).filter(r => r.index > lastIndex);
 
-      try {
-        const resp = await postJsonWithRetry(
-          automationUrl,
-          payload,
-          { auth },
-          { retries: 2, backoffMs: 1500 }
-        );
-        console.log(`→ Posted ${rec.AccountingDocument} for ${rec.CompanyCode}: ${resp.status}`);
-      } catch (err) {
-        console.error(`✗ Error Posting ${rec.AccountingDocument}/${rec.CompanyCode}`, formatAxiosError(err, automationUrl, payload));
-        // continue to next record
-      }
+    // Records already in the ledger were delivered by an earlier (possibly crashed) run
+    const pending = remaining.filter(r => !ledger.has(r.rec));
+    const delivered = remaining.filter(r => ledger.has(r.rec));
+    if (delivered.length) {
+      console.log(`Skipping ${delivered.length} records for ${code} already delivered according to the ledger`);
+    }
+
+    if (dryRun) {
+      const payloads = pending.map(({ rec }) => buildPayload(rec, mapping));
+      const reportPath = writeDryRunReport(dirPath, code, newestName, automationUrl, payloads, delivered.map(({ rec }) => ledgerKey(rec)));
+      console.log(`DRY RUN: would post ${payloads.length} records for ${code} to ${automationUrl}. Report: ${reportPath}`);
+      report.recordPost(code, { csv: newestName, csvPath, wouldPost: payloads.length, skipped: delivered.length });
+      continue;
+    }
+
+    checkpoint.updateCompany(code, { csv: newestName, stage: 'post', lastIndex });
+    jobs.push({ code, dirPath, newestName, automationUrl, mapping, pending, lastIndex, total: records.length, skipped: delivered.length, rowFailures });
+  }
+
+  // Every company posts at once, each through its own pool and all through the global cap.
+  // Log lines are buffered per record and printed as soon as that record is done.
+  const perf = resolvePerformance(config);
+  const globalLimit = pLimit(perf.postConcurrency);
+  console.log(`Posting ${jobs.length} companies (max ${perf.postConcurrency} concurrent POSTs, ${perf.postCompanyConcurrency} per company)`);
+  const runs = jobs.map(job => postCompanyRecords(job, { ledger, checkpoint, globalLimit, perf, retryCfg: target.retryCfg }));
+
+  const totals = { posted: 0, failed: 0, skipped: 0 };
+  for (const [i, job] of jobs.entries()) {
+    const { code, dirPath, newestName, rowFailures } = job;
+    const { posted, failed: postFailed, failures: postFailures, unrecorded, deadLetters, durationMs } = await runs[i];
+    const failed = postFailed + rowFailures.length;
+    const failures = [...rowFailures, ...postFailures];
+    console.log(`Summary ${code}: ${posted} posted, ${failed} failed, ${job.skipped} already delivered (${newestName})`);
+    totals.posted += posted;
+    totals.failed += failed;
+    totals.skipped += job.skipped;
+
+    if (deadLetters.size) {
+      console.warn(`${deadLetters.size} dead-lettered records for ${code} in ${deadLetters.filePath} — run "replay" to re-post them`);
     }
 
     // Archive the processed newest CSV
+    checkpoint.updateCompany(code, { stage: 'archive' });
+    let csvPath = path.join(dirPath, newestName);
     try {
-      await archiveCsv(dirPath, newestName);
+      csvPath = await archiveCsv(dirPath, newestName);
       console.log(`Archived processed CSV for ${code} -> ${path.join(dirPath, 'archive')}`);
     } catch (e) {
       console.error(`Failed to archive processed CSV for ${code}:`, e?.message || e);
     }
+    checkpoint.updateCompany(code, { stage: 'done' });
+    report.recordPost(code, { csv: newestName, csvPath, posted, failed, skipped: job.skipped, failures, unrecorded, durationMs });
+    if (unrecorded.length) {
+      report.fail(`${code}: ${unrecorded.length} delivered record(s) could not be recorded, see the log before re-posting`);
+    }
   }
 
   // Optional: post-run sweep (keeps folders tidy even if new CSVs appeared mid-run)
   // await sweepArchiveAll(outputfolder);
 
-  console.log('All companies processed.');
-  
-  // Send email with current run logs
-  await sendLogEmail(config);
+  console.log(`All companies processed: ${totals.posted} posted, ${totals.failed} failed, ${totals.skipped} already delivered.`);
 }
 
-main().catch(err => {
-  console.error('Fatal error in main():', err?.stack || err);
-  // Still try to send email even if main process failed
-  if (typeof config !== 'undefined') {
-    sendLogEmail(config).catch(emailErr => {
-      console.error('Failed to send email after fatal error:', emailErr?.message || emailErr);
-    });
+/** Post the pending records of one company; resolves once all of them are done. */
+async function postCompanyRecords(job, { ledger, checkpoint, globalLimit, perf, retryCfg }) {
+  const { code, dirPath, newestName, automationUrl, mapping, pending, total } = job;
+  const deadLetters = openDeadLetters(dirPath);
+  const companyLimit = pLimit(perf.postCompanyConcurrency);
+  const failures = []; // by position, so the report lists them in CSV order
+  const unrecorded = []; // delivered, but the ledger or dead-letter write failed
+  const start = Date.now();
+  let posted = 0;
+  let failed = 0;
+
+  // lastIndex only moves past a record once it and every record before it are committed,
+  // so a resumed run never skips a record that was still in flight
+  const open = new Set(pending.map(p => p.index));
+  let lastIndex = job.lastIndex;
+  const commit = index => {
+    open.delete(index);
+    let next = lastIndex;
+    while (next + 1 < total && !open.has(next + 1)) next++;
+    if (next !== lastIndex) {
+      lastIndex = next;
+      checkpoint.progress(code, lastIndex);
+    }
+  };
+  commit(-1); // leading records that were already delivered
+
+  // Post each record with retry + rich error logging
+  const postRecord = async ({ rec, index }, i, log) => {
+    const payload = buildPayload(rec, mapping);
+    let resp;
+    try {
+      resp = await postJsonWithRetry(automationUrl, payload, {}, retryCfg, log);
+    } catch (err) {
+      const error = formatAxiosError(err, automationUrl, payload);
+      log.error(`✗ Error Posting ${rec.AccountingDocument}/${rec.CompanyCode}`, error);
+      // keep the payload so `replay` can deliver it after the CSV is archived
+      deadLetters.add(rec, { url: automationUrl, payload, error, sourceCsv: newestName });
+      failures[i] = { AccountingDocument: rec.AccountingDocument, status: err?.response?.status || null, message: err?.message };
+      failed++;
+      commit(index);
+      return;
+    }
+    log.log(`→ Posted ${rec.AccountingDocument} for ${rec.CompanyCode}: ${resp.status}`);
+    posted++;
+    const problem = recordDelivery(ledger, deadLetters, rec, { url: automationUrl, payload, status: resp.status, sourceCsv: newestName });
+    if (problem) {
+      log.error(`✗ ${rec.AccountingDocument}/${rec.CompanyCode} ${problem}`);
+      unrecorded[i] = { AccountingDocument: rec.AccountingDocument, message: problem };
+    }
+    commit(index);
+  };
+
+  await Promise.all(pending.map((item, i) => companyLimit(() => globalLimit(async () => {
+    const log = createLogBuffer();
+    try {
+      await postRecord(item, i, log);
+    } finally {
+      log.flush(); // also when the record threw, so its retries are not lost
+    }
+  }))));
+
+  return { posted, failed, failures: failures.filter(Boolean), unrecorded: unrecorded.filter(Boolean), deadLetters, durationMs: Date.now() - start };
+}
+
+async function sweep(config) {
+  // 🔹 NEW: archive older CSVs in ALL company folders up-front
+  if (dryRun) {
+    console.log('DRY RUN: skipping pre-sweep archive');
+  } else if (describeCompanyFilter(buildCompanyFilter(config, options)) !== 'none') {
+    // filtered run: only sweep the selected companies' folders
+    const outputfolder = resolveOutputFolder(config);
+    const companies = loadCompanies(config) || [];
+    for (const row of companies) {
+      const code = String(row.CompanyCode ?? '').trim();
+      if (code) await archiveAllButNewest(path.join(outputfolder, code));
+    }
+  } else {
+    await sweepArchiveAll(resolveOutputFolder(config));
+  }
+}
+
+// JSON + HTML summary of the run in reports/ (REPORT_DIR overrides the folder)
+function saveRunReport(report) {
+  try {
+    const files = writeRunReport(report.finish(), REPORT_DIR);
+    console.log(`Run report: ${files.htmlPath} (${path.basename(files.jsonPath)})`);
+    return files;
+  } catch (e) {
+    console.error('Failed to write run report:', e?.message || e);
+    return null;
+  }
+}
+
+async function main() {
+  console.log('Startup diagnostics →', { isPkg, cwd: process.cwd(), execPath: process.execPath, baseDir, command, options });
+  if (dryRun) console.log('DRY RUN: nothing will be posted to CPI and no CSVs will be archived');
+
+  // validate up-front so a broken config.yaml fails before any SAP extraction
+  const config = loadConfig();
+  if (!config) return;
+
+  const checkpoint = openCheckpoint(resolveOutputFolder(config));
+  const previous = checkpoint.unfinished();
+  if (options.resume && !previous) {
+    console.log(`Nothing to resume in ${checkpoint.filePath}; starting a new run`);
+  } else if (!options.resume && previous) {
+    console.warn(`Run ${previous.runId} stopped at stage ${previous.stage}; starting over (use --resume to continue it)`);
+  }
+  if (dryRun) {
+    console.log('DRY RUN: no checkpoint is written');
+  } else {
+    const resuming = options.resume && previous;
+    const runId = checkpoint.start(command, resuming ? previous : null);
+    console.log(resuming ? `Resuming run ${runId} from stage ${previous.stage}` : `Run ID: ${runId}`);
+  }
+
+  const report = createRunReport({ runId: checkpoint.runId, command, dryRun });
+  let reportFiles = null;
+  try {
+    if (command === 'run' || command === 'fetch') {
+      if (checkpoint.passed('fetch')) {
+        console.log('Fetch already completed in this run, reusing its CSVs');
+      } else {
+        checkpoint.setStage('fetch');
+        const stats = await report.stage('fetch', runDataScript);
+        if (!stats) report.fail('Data fetch failed, see the log');
+        report.addFetchStats(stats);
+      }
+      if (command === 'fetch') {
+        checkpoint.setStage('done');
+        return;
+      }
+    }
+
+    if (command === 'sweep' || command === 'run') {
+      // after a crash in the post stage the sweep would archive CSVs that are still being posted
+      if (checkpoint.passed('sweep')) {
+        console.log('Sweep already completed in this run, skipping');
+      } else {
+        checkpoint.setStage('sweep');
+        await report.stage('sweep', () => sweep(config));
+      }
+      if (command === 'sweep') {
+        checkpoint.setStage('done');
+        return;
+      }
+    }
+
+    checkpoint.setStage('post');
+    await report.stage('post', () => postCompanies(config, checkpoint, report));
+    checkpoint.setStage('done');
+  } finally {
+    reportFiles = saveRunReport(report);
+  }
+
+  // Send the summary email with the current run logs, then the webhook/Teams/Slack channels
+  await sendLogEmail(config, report.data, reportFiles);
+  await sendNotifications(config, report.data);
+}
+
+if (options.help) {
+  process.stdout.write(USAGE);
+} else if (command === 'ledger') {
+  ledgerCommand(commandArgs).catch(err => console.error('Fatal error in ledger command:', err?.stack || err));
+} else if (command === 'replay') {
+  replayCommand(commandArgs).catch(err => console.error('Fatal error in replay command:', err?.stack || err));
+} else if (command === 'secrets') {
+  try {
+    secretsCommand(commandArgs);
+  } catch (err) {
+    console.error('Secrets command failed:', err?.message || err);
+    process.exitCode = 1;
   }
-});
\ No newline at end of file
+} else if (command === 'validate-config') {
+  validateConfigCommand();
+} else if (command === 'status') {
+  statusCommand().catch(err => console.error('Fatal error in status command:', err?.stack || err));
+} else {
+  main().catch(err => {
+    console.error('Fatal error in main():', err?.stack || err);
+    // Still try to send email even if main process failed
+    if (typeof config !== 'undefined') {
+      sendLogEmail(config).catch(emailErr => {
+        console.error('Failed to send email after fatal error:', emailErr?.message || emailErr);
+      });
+    }
+  });
+}
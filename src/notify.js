@@ -0,0 +1,137 @@
+const axios = require('axios');
+const { evaluateAlerts } = require('./alerts');
+
+// Run-summary notifications next to the email, one entry per channel in config.yaml:
+//
+//   notifications:
+//     - type: webhook              # generic JSON: POSTs the summary object below
+//       url: https://ops.example.com/hooks/prepayment
+//       headers: { Authorization: ${secret:ops_hook_token} }
+//     - type: teams                # Incoming Webhook MessageCard
+//       url: https://<tenant>.webhook.office.com/webhookb2/...
+//       alerts: { onFailure: true }   # same rules as email.alerts; omit to post every run
+//     - type: slack                # Incoming Webhook message
+//       url: https://hooks.slack.com/services/...
+//
+// A failing channel is logged and never fails the run.
+const CHANNEL_TYPES = ['webhook', 'teams', 'slack'];
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/** The summary every channel receives, derived from the finished run report. */
+function buildSummary(report, reasons = []) {
+  return {
+    runId: report.runId,
+    status: report.status,
+    dryRun: report.dryRun,
+    command: report.command,
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    durationMs: report.durationMs,
+    totals: report.totals,
+    alerts: reasons,
+    errors: report.errors,
+    companies: Object.entries(report.companies)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([code, c]) => ({
+        CompanyCode: code,
+        scenario: c.scenario,
+        fetched: c.fetch ? c.fetch.step4 : null,
+        posted: c.post?.posted ?? 0,
+        failed: c.post?.failed ?? 0,
+        skipped: c.post?.skipped ?? 0,
+        failures: (c.post?.failures || []).map(f => ({ AccountingDocument: f.AccountingDocument, status: f.status, ...(f.line ? { line: f.line } : {}) })),
+        notes: c.notes
+      }))
+  };
+}
+
+function summaryTitle(summary) {
+  const outcome = summary.status === 'success' ? 'SUCCESS' : 'FAILED';
+  return `${summary.dryRun ? '[DRY RUN] ' : ''}Prepayment collection run ${summary.runId || ''}: ${outcome}`;
+}
+
+function failureLabel(f) {
+  if (f.AccountingDocument) return `${f.AccountingDocument}: ${f.status ?? 'no response'}`;
+  return f.line ? `CSV line ${f.line}: malformed` : 'CSV unreadable';
+}
+
+function companyLine(c) {
+  // companies that were not posted (no CSV, InvoiceType gate, ...) show why instead
+  if (c.notes.length && !c.posted && !c.failed) return c.notes.join('; ');
+  const failed = c.failures.length
+    ? ` (${c.failures.map(failureLabel).join(', ')})`
+    : '';
+  return `${c.posted} posted, ${c.failed} failed${failed}, ${c.skipped} skipped`;
+}
+
+function teamsCard(summary) {
+  const t = summary.totals;
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    themeColor: summary.status === 'success' ? '2EB886' : 'D00000',
+    summary: summaryTitle(summary),
+    title: summaryTitle(summary),
+    text: [`${t.posted} posted, ${t.failed} failed, ${t.skipped} skipped`, ...summary.alerts, ...summary.errors].join('<br>'),
+    sections: [{
+      facts: summary.companies.map(c => ({ name: c.CompanyCode, value: companyLine(c) }))
+    }]
+  };
+}
+
+function slackMessage(summary) {
+  const t = summary.totals;
+  return {
+    text: summaryTitle(summary),
+    attachments: [{
+      color: summary.status === 'success' ? 'good' : 'danger',
+      text: [`${t.posted} posted, ${t.failed} failed, ${t.skipped} skipped`, ...summary.alerts, ...summary.errors].join('\n'),
+      fields: summary.companies.map(c => ({ title: c.CompanyCode, value: companyLine(c), short: false }))
+    }]
+  };
+}
+
+const FORMATTERS = {
+  webhook: summary => summary,
+  teams: teamsCard,
+  slack: slackMessage
+};
+
+/** One configured channel: { name, rules, send(report, reasons) }. */
+function createChannel(cfg, { http = axios } = {}) {
+  const format = FORMATTERS[cfg.type];
+  if (!format) throw new Error(`Unsupported notification type "${cfg.type}" (expected ${CHANNEL_TYPES.join(', ')})`);
+  return {
+    name: cfg.name || `${cfg.type} ${new URL(cfg.url).host}`,
+    rules: cfg.alerts,
+    async send(report, reasons) {
+      const body = format(buildSummary(report, reasons));
+      await http.post(cfg.url, body, {
+        timeout: cfg.timeoutMs || DEFAULT_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json', ...cfg.headers }
+      });
+    }
+  };
+}
+
+/** Send the finished run report to every channel in config.notifications whose rules fire. */
+async function sendNotifications(config, report, { http } = {}) {
+  for (const cfg of config.notifications || []) {
+    let channel;
+    try {
+      channel = createChannel(cfg, { http });
+      const reasons = evaluateAlerts(report, channel.rules);
+      if (reasons && !reasons.length) {
+        console.log(`No alert rule matched for ${channel.name} - not notifying`);
+        continue;
+      }
+      await channel.send(report, reasons || []);
+      console.log(`Notification sent to ${channel.name}`);
+    } catch (err) {
+      const status = err?.response?.status ? ` (HTTP ${err.response.status})` : '';
+      console.error(`Failed to notify ${channel?.name || cfg.type}${status}:`, err?.message || err);
+    }
+  }
+}
+
+module.exports = { sendNotifications, createChannel, buildSummary, CHANNEL_TYPES };
@@ -0,0 +1,124 @@
+const pLimitModule = require('p-limit');
+const pLimit = pLimitModule.default || pLimitModule;
+
+// Every SAP/CPI OData read goes through here:
+//  - getAll() follows V2 `d.__next` and V4 `@odata.nextLink` until the last page
+//  - transient failures (429, 5xx, socket errors) are retried with exponential backoff + jitter,
+//    honouring Retry-After (up to maxDelayMs) when the server sends one
+//  - per-endpoint rate limits (max concurrent requests, min spacing between request starts)
+//
+// config.yaml (all optional):
+//   odata:
+//     retry: { retries: 4, baseDelayMs: 500, maxDelayMs: 15000 }
+//     rateLimits:
+//       default: { maxConcurrent: 12 }
+//       Flag:    { maxConcurrent: 6, minIntervalMs: 50 }
+
+const DEFAULT_RETRY = { retries: 4, baseDelayMs: 500, maxDelayMs: 15000 };
+const DEFAULT_RATE_LIMIT = { maxConcurrent: 12, minIntervalMs: 0 };
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status) return RETRYABLE_STATUS.includes(status);
+  return RETRYABLE_CODES.includes(err?.code);
+}
+
+/** Retry-After in ms (delta-seconds or HTTP date), or null. */
+function retryAfterMs(err) {
+  const header = err?.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  // "full jitter": random delay in [0, base * 2^attempt], capped
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/** Rows of one OData response page, V2 (`d.results`) or V4 (`value`). */
+function pageRows(data) {
+  if (Array.isArray(data?.value)) return data.value;
+  if (Array.isArray(data?.d?.results)) return data.d.results;
+  return [];
+}
+
+function nextPageLink(data) {
+  return data?.['@odata.nextLink'] || data?.d?.__next || null;
+}
+
+/**
+ * @param {object} opts
+ * @param {import('axios').AxiosInstance} opts.http  axios instance (auth already applied)
+ * @param {object} [opts.retry]       { retries, baseDelayMs, maxDelayMs }
+ * @param {object} [opts.rateLimits]  { default: {maxConcurrent, minIntervalMs}, <EndpointName>: {...} }
+ */
+function createODataClient({ http, retry = {}, rateLimits = {} }) {
+  const retryCfg = { ...DEFAULT_RETRY, ...retry };
+  const limiters = new Map();
+
+  function limiterFor(endpoint) {
+    const key = endpoint || 'default';
+    if (!limiters.has(key)) {
+      const cfg = { ...DEFAULT_RATE_LIMIT, ...rateLimits.default, ...(endpoint ? rateLimits[endpoint] : {}) };
+      limiters.set(key, { limit: pLimit(cfg.maxConcurrent), minIntervalMs: cfg.minIntervalMs || 0, nextStart: 0 });
+    }
+    return limiters.get(key);
+  }
+
+  async function spacing(limiter) {
+    if (!limiter.minIntervalMs) return;
+    const now = Date.now();
+    const wait = Math.max(0, limiter.nextStart - now);
+    limiter.nextStart = Math.max(now, limiter.nextStart) + limiter.minIntervalMs;
+    if (wait) await sleep(wait);
+  }
+
+  /** One GET with throttling and retry; resolves to the response body. */
+  async function get(url, params, { endpoint } = {}) {
+    const limiter = limiterFor(endpoint);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const resp = await limiter.limit(async () => {
+          await spacing(limiter);
+          return http.get(url, params ? { params } : undefined);
+        });
+        return resp.data;
+      } catch (err) {
+        if (attempt >= retryCfg.retries || !isRetryable(err)) throw err;
+        // back off outside the limiter so other requests can use the slot
+        // a Retry-After beyond maxDelayMs (minutes, or a far-off date) would stall the whole run
+        const retryAfter = retryAfterMs(err);
+        const wait = retryAfter === null ? backoffMs(attempt, retryCfg) : Math.min(retryAfter, retryCfg.maxDelayMs);
+        console.warn(`OData GET ${endpoint || url} failed (${err?.response?.status || err?.code || err?.message}), retry ${attempt + 1}/${retryCfg.retries} in ${wait} ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  /** All rows across every page. */
+  async function getAll(url, params, { endpoint } = {}) {
+    let data = await get(url, params, { endpoint });
+    const all = [...pageRows(data)];
+    let nextLink = nextPageLink(data);
+    while (nextLink) {
+      // next links already carry the query, relative ones resolve against the base URL
+      data = await get(new URL(nextLink, url).href, null, { endpoint });
+      all.push(...pageRows(data));
+      nextLink = nextPageLink(data);
+    }
+    return all;
+  }
+
+  return { get, getAll };
+}
+
+module.exports = { createODataClient, pageRows, nextPageLink, retryAfterMs, isRetryable };
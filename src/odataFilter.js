@@ -0,0 +1,82 @@
+// Small $filter builder: values are always emitted as escaped, typed OData literals,
+// so a quote in a document number can never change the meaning of a filter.
+//
+//   build(and(eq('SalesOrganization', code), eq('InvoiceClearingStatus', 'C')))
+//   -> "SalesOrganization eq 'SAC1' and InvoiceClearingStatus eq 'C'"
+//   build(inList('AccountingDocument', ['1', '2']))
+//   -> "(AccountingDocument eq '1' or AccountingDocument eq '2')"   (V2 has no `in`)
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+class FilterExpr {
+  constructor(text, compound) {
+    this.text = text;
+    this.compound = compound; // needs parentheses when nested in another and/or
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function field(name) {
+  if (typeof name !== 'string' || !FIELD_NAME.test(name)) {
+    throw new Error(`Invalid OData property name: ${name}`);
+  }
+  return name;
+}
+
+/** OData literal for a JS value: strings are quoted with '' escaping, numbers must be finite. */
+function literal(value) {
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'string':
+      return `'${value.replace(/'/g, "''")}'`;
+    case 'number':
+      if (!Number.isFinite(value)) throw new Error(`Invalid OData number literal: ${value}`);
+      return String(value);
+    case 'boolean':
+      return value ? 'true' : 'false';
+    default:
+      throw new Error(`Unsupported OData literal type: ${typeof value}`);
+  }
+}
+
+function compare(op) {
+  return (name, value) => new FilterExpr(`${field(name)} ${op} ${literal(value)}`, false);
+}
+
+const eq = compare('eq');
+const ne = compare('ne');
+const lt = compare('lt');
+const gt = compare('gt');
+
+function join(op, exprs) {
+  const parts = exprs.flat().filter(Boolean);
+  for (const e of parts) {
+    if (!(e instanceof FilterExpr)) throw new Error(`${op}() expects filter expressions, got ${typeof e}`);
+  }
+  if (!parts.length) throw new Error(`${op}() needs at least one expression`);
+  if (parts.length === 1) return parts[0];
+  const text = parts.map(e => (e.compound ? `(${e.text})` : e.text)).join(` ${op} `);
+  return new FilterExpr(text, true);
+}
+
+const and = (...exprs) => join('and', exprs);
+const or = (...exprs) => join('or', exprs);
+
+/** name eq v1 or name eq v2 …, parenthesised; duplicates are dropped. */
+function inList(name, values) {
+  const unique = [...new Set(values)];
+  if (!unique.length) throw new Error(`inList(${name}) needs at least one value`);
+  const expr = or(unique.map(v => eq(name, v)));
+  return unique.length > 1 ? new FilterExpr(`(${expr.text})`, false) : expr;
+}
+
+/** Final $filter string. */
+function build(expr) {
+  if (!(expr instanceof FilterExpr)) throw new Error('build() expects a filter expression');
+  return expr.text;
+}
+
+module.exports = { eq, ne, lt, gt, and, or, inList, literal, build, FilterExpr };
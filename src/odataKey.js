@@ -0,0 +1,61 @@
+// Entity keys from OData resource ids, for fields a response only carries in its key:
+//   V2: __metadata.id / __metadata.uri  https://host/sap/opu/odata/sap/API/Entity(CompanyCode='SAC1',FiscalYear='2025')
+//   V4: @odata.id / @odata.editLink     Entity(CompanyCode='SAC1',FiscalYear=2025)
+// Values come back as strings ('' quotes unescaped, V2 type prefixes like datetime'…' dropped).
+
+/** The key predicate of the last path segment as { name: value }; a single unnamed key is returned under ''. null when there is none. */
+function parseEntityKey(id) {
+  if (typeof id !== 'string' || !id) return null;
+  let text = id.split('?')[0];
+  try {
+    text = decodeURIComponent(text);
+  } catch {
+    // keep the raw id; unencoded keys are the common case
+  }
+  // Name( ... ) at the end; quoted values may contain parentheses and commas
+  const m = text.match(/[A-Za-z_][\w.]*\(((?:[^'()]|'(?:[^']|'')*')*)\)$/);
+  if (!m) return null;
+  const predicate = m[1];
+
+  // name=value pairs separated by commas; commas inside quotes belong to the value
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < predicate.length; i++) {
+    const ch = predicate[i];
+    if (ch === "'") {
+      if (quoted && predicate[i + 1] === "'") { current += "''"; i++; continue; }
+      quoted = !quoted;
+    }
+    if (ch === ',' && !quoted) { parts.push(current); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current);
+
+  const key = {};
+  for (const part of parts) {
+    const eqAt = part.search(/=(?=(?:[^']*'[^']*')*[^']*$)/);
+    const name = eqAt < 0 ? '' : part.slice(0, eqAt).trim();
+    const raw = (eqAt < 0 ? part : part.slice(eqAt + 1)).trim();
+    if (!raw) return null;
+    key[name] = literalValue(raw);
+  }
+  return key;
+}
+
+function literalValue(raw) {
+  const m = raw.match(/^[A-Za-z]*'((?:[^']|'')*)'$/);
+  return m ? m[1].replace(/''/g, "'") : raw;
+}
+
+/** Entity key of a V2 or V4 row, or null when the row carries no parsable id. */
+function entityKeyOf(row) {
+  const ids = [row?.__metadata?.id, row?.__metadata?.uri, row?.['@odata.id'], row?.['@odata.editLink']];
+  for (const id of ids) {
+    const key = parseEntityKey(id);
+    if (key) return key;
+  }
+  return null;
+}
+
+module.exports = { parseEntityKey, entityKeyOf };
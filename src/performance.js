@@ -0,0 +1,57 @@
+// Concurrency, pool sizes, timeouts and POST retries, driven from config.yaml so they can be
+// tuned per tenant without rebuilding the exe:
+//
+//   performance:
+//     flagConcurrency: 12
+//     httpTimeoutMs: 30000
+//     overrides:
+//       qa: { flagConcurrency: 4, soItemConcurrency: 4 }   # keyed by env (lower case)
+const DEFAULT_PERFORMANCE = {
+  soItemConcurrency: 12,
+  acctConcurrency: 12,
+  flagConcurrency: 12,
+  maxSockets: 40,
+  httpTimeoutMs: 30000,
+  postTimeoutMs: 30000,
+  postRetries: 2,
+  postBackoffMs: 1500,
+  postConcurrency: 4,
+  postCompanyConcurrency: 1
+};
+
+const PERFORMANCE_KEYS = Object.keys(DEFAULT_PERFORMANCE);
+
+// OData endpoint behind each fetch pool; its odata.rateLimits entry caps that pool as well
+const POOL_ENDPOINTS = {
+  soItemConcurrency: 'FilterSalesOrderItem',
+  acctConcurrency: 'GetAccountingDocument',
+  flagConcurrency: 'Flag'
+};
+
+/** Defaults <- performance.* <- performance.overrides.<env>. */
+function resolvePerformance(config = {}) {
+  const { overrides, ...base } = config.performance || {};
+  const envKey = String(config.env ?? '').toLowerCase();
+  return { ...DEFAULT_PERFORMANCE, ...base, ...(overrides?.[envKey] || {}) };
+}
+
+/**
+ * odata.rateLimits for the OData client. A pooled endpoint without its own maxConcurrent (or one
+ * under `default`) gets the pool size, so raising a pool is not held back by the client's default.
+ * `capped` describes every pool that an explicit maxConcurrent keeps smaller than configured.
+ */
+function resolveODataRateLimits(config = {}, perf = resolvePerformance(config)) {
+  const rateLimits = { ...config.odata?.rateLimits };
+  const capped = [];
+  for (const [key, endpoint] of Object.entries(POOL_ENDPOINTS)) {
+    const explicit = rateLimits[endpoint]?.maxConcurrent ?? rateLimits.default?.maxConcurrent;
+    if (explicit === undefined) {
+      rateLimits[endpoint] = { ...rateLimits[endpoint], maxConcurrent: perf[key] };
+    } else if (explicit < perf[key]) {
+      capped.push(`performance.${key} (${perf[key]}) is capped at ${explicit} by odata.rateLimits maxConcurrent for ${endpoint}`);
+    }
+  }
+  return { rateLimits, capped };
+}
+
+module.exports = { resolvePerformance, resolveODataRateLimits, DEFAULT_PERFORMANCE, PERFORMANCE_KEYS, POOL_ENDPOINTS };
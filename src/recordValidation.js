@@ -0,0 +1,78 @@
+// Record checks run at step 4, before the Flag lookup. A record that fails any rule goes to
+// <CompanyCode>/rejected/Rejected_<csv name> with the reasons instead of the posting file.
+//
+// config.yaml (all optional, defaults shown):
+//   validation:
+//     requiredFields: [SalesOrder, SalesOrderItem, AccountingDocument, CompanyCode]
+//     requireFiscalYear: true       # FiscalYear must be a 4-digit year
+//     balanceCheck: true            # GetAccountingDocument returned 2 lines summing to zero
+//     balanceTolerance: 0.01
+//     salesforceIdPattern: '^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$'   # YY1_SALESFORCEID_I_SDI, unset = no check
+//
+// Field names are the CSV columns (INVOICE_CSV_COLUMNS).
+
+const DEFAULT_VALIDATION = {
+  requiredFields: ['SalesOrder', 'SalesOrderItem', 'AccountingDocument', 'CompanyCode'],
+  requireFiscalYear: true,
+  balanceCheck: true,
+  balanceTolerance: 0.01,
+  salesforceIdPattern: null
+};
+
+function resolveValidationRules(config) {
+  const rules = { ...DEFAULT_VALIDATION, ...config.validation };
+  return {
+    ...rules,
+    salesforceIdPattern: rules.salesforceIdPattern ? new RegExp(rules.salesforceIdPattern) : null
+  };
+}
+
+const isBlank = v => v === null || v === undefined || String(v).trim() === '';
+
+/**
+ * Reasons a record is rejected ([] when valid). `row` is the record as CSV row; `record` may
+ * carry AccountingLines / AccountingTotal from resolveAccountingDocuments (normal scenario only).
+ */
+function validateRecord(record, row, rules) {
+  const reasons = [];
+  for (const field of rules.requiredFields) {
+    if (isBlank(row[field])) reasons.push(`${field} is missing`);
+  }
+
+  if (rules.requireFiscalYear && !/^\d{4}$/.test(String(row.FiscalYear ?? '').trim())) {
+    reasons.push(isBlank(row.FiscalYear) ? 'FiscalYear is missing' : `FiscalYear "${row.FiscalYear}" is not a year`);
+  }
+
+  if (rules.balanceCheck && record.AccountingLines !== undefined) {
+    if (record.AccountingLines !== 2) {
+      reasons.push(`GetAccountingDocument returned ${record.AccountingLines} lines instead of 2`);
+    } else if (!Number.isFinite(record.AccountingTotal)) {
+      reasons.push('accounting line amounts are not numeric');
+    } else if (Math.abs(record.AccountingTotal) > rules.balanceTolerance) {
+      reasons.push(`accounting lines sum to ${record.AccountingTotal} instead of 0`);
+    }
+  }
+
+  if (rules.salesforceIdPattern && !isBlank(row.YY1_SALESFORCEID_I_SDI) &&
+      !rules.salesforceIdPattern.test(String(row.YY1_SALESFORCEID_I_SDI))) {
+    reasons.push(`YY1_SALESFORCEID_I_SDI "${row.YY1_SALESFORCEID_I_SDI}" does not match ${rules.salesforceIdPattern.source}`);
+  }
+  return reasons;
+}
+
+/**
+ * Split records into valid ones and rejected { record, reasons }.
+ * toRow maps a record to its CSV row (buildCsvRows for one record).
+ */
+function validateRecords(records, rules, toRow) {
+  const valid = [];
+  const rejected = [];
+  for (const record of records) {
+    const reasons = validateRecord(record, toRow(record), rules);
+    if (reasons.length) rejected.push({ record, reasons });
+    else valid.push(record);
+  }
+  return { valid, rejected };
+}
+
+module.exports = { resolveValidationRules, validateRecord, validateRecords, DEFAULT_VALIDATION };
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+
+// Structured summary of one execution, written to reports/RunReport_<runId>.json and .html:
+// per company the fetch step counts (same entries as the debug step1..step4 files), records
+// filtered by Flag/status, records posted/failed/skipped, and the duration of every stage.
+const REPORT_VERSION = 1;
+
+const FETCH_STEPS = ['step1', 'step2', 'step3', 'step4'];
+
+function emptyCompany() {
+  return {
+    scenario: null,
+    fetch: null, // { step1..step4, filtered: { reason: n }, csv } when the fetch ran
+    post: null, // { csv, csvPath, posted, failed, skipped, failures, unrecorded, durationMs } or { csv, csvPath, wouldPost, skipped } in dry runs;
+    // a failure is { AccountingDocument, status, message }, { line, message } for a malformed CSV row,
+    // or { message } alone for a CSV that could not be read at all; `unrecorded` lists
+    // { AccountingDocument, message } for records delivered but not written to the ledger
+    notes: []
+  };
+}
+
+/**
+ * Collects the numbers while the run progresses; finish() freezes the totals.
+ * @param {object} opts  { runId, command, dryRun }
+ */
+function createRunReport({ runId = null, command, dryRun = false } = {}) {
+  const report = {
+    version: REPORT_VERSION,
+    runId,
+    command,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: null, // 'success' | 'failed', set by finish()
+    errors: [],
+    stages: {},
+    companies: {},
+    totals: null
+  };
+  const startedMs = Date.now();
+
+  const company = code => (report.companies[code] = report.companies[code] || emptyCompany());
+
+  return {
+    data: report,
+    /** Run fn as a named stage and record how long it took (also when it throws). */
+    async stage(name, fn) {
+      const start = Date.now();
+      report.stages[name] = { startedAt: new Date(start).toISOString(), durationMs: null };
+      try {
+        return await fn();
+      } finally {
+        report.stages[name].durationMs = Date.now() - start;
+      }
+    },
+    /** Step counts returned by the fetcher: { companies: { code: { scenario, step1..4, filtered, csv } } }. */
+    addFetchStats(stats) {
+      for (const [code, { scenario, ...fetch }] of Object.entries(stats?.companies || {})) {
+        const entry = company(code);
+        entry.scenario = entry.scenario || scenario || null;
+        entry.fetch = fetch;
+      }
+    },
+    recordPost(code, result) {
+      company(code).post = result;
+    },
+    note(code, message) {
+      company(code).notes.push(message);
+    },
+    /** Run-level problem that makes the run count as failed. */
+    fail(message) {
+      report.errors.push(message);
+    },
+    finish() {
+      report.finishedAt = new Date().toISOString();
+      report.durationMs = Date.now() - startedMs;
+      return summarize(report);
+    }
+  };
+}
+
+/** Recompute totals and status from the company entries (in place). */
+function summarize(report) {
+  const totals = { companies: 0, filtered: 0, posted: 0, failed: 0, skipped: 0 };
+  for (const step of FETCH_STEPS) totals[step] = 0;
+  for (const entry of Object.values(report.companies)) {
+    totals.companies++;
+    for (const step of FETCH_STEPS) totals[step] += entry.fetch?.[step] || 0;
+    totals.filtered += Object.values(entry.fetch?.filtered || {}).reduce((a, b) => a + b, 0);
+    totals.posted += entry.post?.posted || 0;
+    totals.failed += entry.post?.failed || 0;
+    totals.skipped += entry.post?.skipped || 0;
+  }
+  report.totals = totals;
+  report.status = report.errors.length || totals.failed ? 'failed' : 'success';
+  return report;
+}
+
+/**
+ * Copy of a finished report narrowed to some company codes, with its own totals and status.
+ * Run-level errors are not tied to a company and stay in the full report only.
+ */
+function scopeReport(report, codes) {
+  const companies = Object.fromEntries(Object.entries(report.companies).filter(([code]) => codes.includes(code)));
+  return summarize({ ...report, companies, errors: [] });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function describeFiltered(filtered) {
+  const parts = Object.entries(filtered || {}).map(([reason, n]) => `${reason}: ${n}`);
+  return parts.join(', ');
+}
+
+/** One row per company with the fetch, filter and post numbers. */
+function renderCompanyTable(report) {
+  const head = ['CompanyCode', 'Scenario', ...FETCH_STEPS, 'Filtered', 'Posted', 'Failed', 'Skipped', 'Post time', 'Notes'];
+  const rows = Object.entries(report.companies)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([code, c]) => {
+      const posted = report.dryRun ? c.post?.wouldPost : c.post?.posted;
+      const cells = [
+        code,
+        c.scenario,
+        ...FETCH_STEPS.map(step => c.fetch?.[step]),
+        describeFiltered(c.fetch?.filtered),
+        posted,
+        c.post?.failed,
+        c.post?.skipped,
+        formatDuration(c.post?.durationMs),
+        c.notes.join('; ')
+      ];
+      const cls = c.post?.failed ? ' class="failed"' : '';
+      return `<tr${cls}>${cells.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`;
+    });
+  return [
+    '<table>',
+    `<tr>${head.map(h => `<th>${escapeHtml(report.dryRun && h === 'Posted' ? 'Would post' : h)}</th>`).join('')}</tr>`,
+    ...rows,
+    '</table>'
+  ].join('\n');
+}
+
+function renderRunReportHtml(report) {
+  const t = report.totals || {};
+  const stages = Object.entries(report.stages)
+    .map(([name, s]) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(formatDuration(s.durationMs))}</td></tr>`)
+    .join('\n');
+  const title = `Prepayment collection run ${report.runId || ''}${report.dryRun ? ' (dry run)' : ''}`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Segoe UI, Arial, sans-serif; font-size: 13px; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f0f0f0; }
+  tr.failed td { background: #fde2e2; }
+</style>
+</head>
+<body>
+<h2>${escapeHtml(title)}</h2>
+<p>Command: ${escapeHtml(report.command)} &middot; Started: ${escapeHtml(report.startedAt)} &middot; Duration: ${escapeHtml(formatDuration(report.durationMs))}</p>
+<p>Companies: ${escapeHtml(t.companies)} &middot; Fetched (step4): ${escapeHtml(t.step4)} &middot; Filtered: ${escapeHtml(t.filtered)} &middot; Posted: ${escapeHtml(t.posted)} &middot; Failed: ${escapeHtml(t.failed)} &middot; Skipped: ${escapeHtml(t.skipped)}</p>
+<h3>Companies</h3>
+${renderCompanyTable(report)}
+<h3>Stages</h3>
+<table>
+<tr><th>Stage</th><th>Duration</th></tr>
+${stages}
+</table>
+</body>
+</html>
+`;
+}
+
+/** [what failed, HTTP status or kind, message] of one post failure. */
+function failureCells(f) {
+  if (f.AccountingDocument) return [f.AccountingDocument, f.status ?? 'no response', f.message];
+  return f.line ? [`CSV line ${f.line}`, 'malformed row', f.message] : ['CSV', 'unreadable', f.message];
+}
+
+/**
+ * Email body: run totals, then one table per company with the posted/failed/skipped counts
+ * and the AccountingDocument and HTTP status of every failed POST.
+ */
+function renderEmailHtml(report, { reasons = [] } = {}) {
+  const t = report.totals || {};
+  const cell = v => `<td style="border:1px solid #ccc;padding:4px 8px">${escapeHtml(v)}</td>`;
+  const headCell = v => `<th style="border:1px solid #ccc;padding:4px 8px;background:#f0f0f0;text-align:left">${escapeHtml(v)}</th>`;
+  const table = rows => `<table style="border-collapse:collapse;margin-bottom:12px">${rows.join('')}</table>`;
+
+  const sections = Object.entries(report.companies)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([code, c]) => {
+      const p = c.post || {};
+      const counts = report.dryRun
+        ? [['Would post', p.wouldPost], ['Skipped', p.skipped]]
+        : [['Posted', p.posted], ['Failed', p.failed], ['Skipped', p.skipped]];
+      const parts = [`<h3>${escapeHtml(code)}${c.scenario ? ` (Scenario ${escapeHtml(c.scenario)})` : ''}</h3>`];
+      if (c.post) {
+        parts.push(table([
+          `<tr>${headCell('CSV')}${counts.map(([h]) => headCell(h)).join('')}</tr>`,
+          `<tr>${cell(p.csv || '')}${counts.map(([, v]) => cell(v ?? 0)).join('')}</tr>`
+        ]));
+      }
+      if (p.failures?.length) {
+        parts.push(table([
+          `<tr>${headCell('Failed AccountingDocument')}${headCell('HTTP status')}${headCell('Error')}</tr>`,
+          ...p.failures.map(f => `<tr>${failureCells(f).map(cell).join('')}</tr>`)
+        ]));
+      }
+      if (c.notes.length) parts.push(`<p>${escapeHtml(c.notes.join('; '))}</p>`);
+      return parts.join('\n');
+    });
+
+  const errors = [...reasons, ...report.errors].length
+    ? `<p style="color:#b00020">${[...reasons, ...report.errors].map(escapeHtml).join('<br>')}</p>`
+    : '';
+  return `<div style="font-family:Segoe UI,Arial,sans-serif;font-size:13px">
+<h2>Prepayment collection run ${escapeHtml(report.runId || '')}: ${report.status === 'success' ? 'SUCCESS' : 'FAILED'}${report.dryRun ? ' (dry run)' : ''}</h2>
+<p>${escapeHtml(t.posted)} posted, ${escapeHtml(t.failed)} failed, ${escapeHtml(t.skipped)} skipped across ${escapeHtml(t.companies)} companies in ${escapeHtml(formatDuration(report.durationMs))}.</p>
+${errors}
+${sections.join('\n')}
+</div>
+`;
+}
+
+/** Write RunReport_<runId or timestamp>.json and .html into reportDir. */
+function writeRunReport(report, reportDir) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const id = report.runId || report.startedAt.replace(/[-:]/g, '').slice(0, 15);
+  const name = `RunReport_${id}${report.dryRun ? '_dryrun' : ''}`;
+  // a resumed run keeps its run ID; number its report instead of overwriting the first one
+  let base = path.join(reportDir, name);
+  for (let n = 2; fs.existsSync(`${base}.json`); n++) base = path.join(reportDir, `${name}-${n}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2), 'utf8');
+  fs.writeFileSync(`${base}.html`, renderRunReportHtml(report), 'utf8');
+  return { jsonPath: `${base}.json`, htmlPath: `${base}.html` };
+}
+
+module.exports = { createRunReport, writeRunReport, scopeReport, renderRunReportHtml, renderEmailHtml, escapeHtml, FETCH_STEPS };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+// Secrets never need to live in config.yaml:
+//   password: ${env:CPI_PASSWORD}      -> read from the environment
+//   password: ${secret:cpi_password}   -> read from the encrypted secrets file
+// The secrets file (config key `secretsFile`, default secrets.enc next to config.yaml) is a
+// YAML mapping encrypted with AES-256-GCM; the key is derived from PREPAY_SECRETS_KEY.
+const SECRETS_KEY_ENV = 'PREPAY_SECRETS_KEY';
+const PLACEHOLDER = /\$\{(env|secret):([A-Za-z0-9_.-]+)\}/g;
+const FORMAT_VERSION = 1;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function encryptSecrets(values, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(yaml.dump(values), 'utf8'), cipher.final()]);
+  return {
+    version: FORMAT_VERSION,
+    alg: 'aes-256-gcm',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptSecrets(envelope, passphrase) {
+  if (envelope?.version !== FORMAT_VERSION || envelope.alg !== 'aes-256-gcm') {
+    throw new Error('unsupported secrets file format');
+  }
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+    Buffer.from(envelope.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  let plain;
+  try {
+    plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  } catch {
+    // GCM auth failure: wrong key or tampered file
+    throw new Error(`cannot decrypt secrets file (wrong ${SECRETS_KEY_ENV}?)`);
+  }
+  return yaml.load(plain.toString('utf8')) || {};
+}
+
+function readSecretsFile(filePath, env = process.env) {
+  const passphrase = env[SECRETS_KEY_ENV];
+  if (!passphrase) throw new Error(`${SECRETS_KEY_ENV} is not set, cannot unlock ${filePath}`);
+  if (!fs.existsSync(filePath)) throw new Error(`secrets file not found: ${filePath}`);
+  return decryptSecrets(JSON.parse(fs.readFileSync(filePath, 'utf8')), passphrase);
+}
+
+function hasSecretPlaceholders(node) {
+  if (typeof node === 'string') return /\$\{secret:/.test(node);
+  if (node && typeof node === 'object') return Object.values(node).some(hasSecretPlaceholders);
+  return false;
+}
+
+/**
+ * Replace ${env:NAME} / ${secret:NAME} in every string of the config tree (in place).
+ * Unresolvable placeholders are reported as "<yaml path>: ..." problems.
+ */
+function resolvePlaceholders(node, { env = process.env, secrets = {} } = {}, at = '', problems = []) {
+  if (Array.isArray(node)) {
+    node.forEach((v, i) => { node[i] = resolvePlaceholders(v, { env, secrets }, `${at}[${i}]`, problems); });
+    return node;
+  }
+  if (node && typeof node === 'object') {
+    for (const [k, v] of Object.entries(node)) {
+      node[k] = resolvePlaceholders(v, { env, secrets }, at ? `${at}.${k}` : k, problems);
+    }
+    return node;
+  }
+  if (typeof node !== 'string') return node;
+
+  return node.replace(PLACEHOLDER, (match, source, name) => {
+    const value = source === 'env' ? env[name] : secrets[name];
+    if (value === undefined || value === null) {
+      problems.push(`${at}: ${source === 'env' ? 'environment variable' : 'secret'} ${name} is not set`);
+      return match;
+    }
+    return String(value);
+  });
+}
+
+module.exports = {
+  SECRETS_KEY_ENV,
+  encryptSecrets,
+  decryptSecrets,
+  readSecretsFile,
+  hasSecretPlaceholders,
+  resolvePlaceholders
+};
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { planEmails, planAttachments, evaluateAlerts } = require('../src/alerts');
+const { createRunReport, scopeReport } = require('../src/runReport');
+
+// SAC1: 1 of 4 failed, EGC1: clean, MAC1: no records; optionally a run-level error
+function finishedRun({ error = false, csvDir = null } = {}) {
+  const report = createRunReport({ runId: 'R1', command: 'run' });
+  report.addFetchStats({ companies: { SAC1: { step4: 4 }, EGC1: { step4: 2 }, MAC1: { step4: 0 } } });
+  const csvPath = code => (csvDir ? path.join(csvDir, `${code}.csv`) : undefined);
+  report.recordPost('SAC1', { csv: 'SAC1.csv', csvPath: csvPath('SAC1'), posted: 3, failed: 1, skipped: 0, failures: [] });
+  report.recordPost('EGC1', { csv: 'EGC1.csv', csvPath: csvPath('EGC1'), posted: 2, failed: 0, skipped: 0, failures: [] });
+  if (error) report.fail('Data fetch failed, see the log');
+  return report.finish();
+}
+
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+test('evaluateAlerts returns null without rules and the reasons of every rule that fires', () => {
+  const report = finishedRun();
+  assert.equal(evaluateAlerts(report, undefined), null);
+  assert.equal(evaluateAlerts(report, {}), null);
+  assert.deepEqual(evaluateAlerts(report, { onFailure: true, failureRatePercent: 10, zeroRecords: ['*'] }), [
+    '1 record(s) failed to post',
+    'failure rate 16.7% exceeds 10%',
+    'no records for MAC1'
+  ]);
+  assert.deepEqual(evaluateAlerts(report, { failureRatePercent: 20, zeroRecords: ['SAC1'] }), []);
+});
+
+test('onFailure fires for run-level errors without failed records', () => {
+  const report = createRunReport({ runId: 'R2', command: 'run' });
+  report.fail('Data fetch failed, see the log');
+  assert.deepEqual(evaluateAlerts(report.finish(), { onFailure: true }), ['the run reported errors']);
+});
+
+test('a scoped report keeps its own companies and not the run-level errors', () => {
+  const scoped = scopeReport(finishedRun({ error: true }), ['EGC1']);
+  assert.deepEqual(Object.keys(scoped.companies), ['EGC1']);
+  assert.deepEqual(scoped.errors, []);
+  assert.equal(scoped.status, 'success');
+  assert.equal(scoped.totals.posted, 2);
+});
+
+test('planEmails mails central and country recipients by their own rules', t => {
+  quiet(t);
+  const plans = planEmails(finishedRun({ error: true }), {
+    to: 'central@example.com',
+    alerts: { onFailure: true },
+    companyRecipients: {
+      SAC1: { to: ['sa@example.com'] },
+      EGC1: { to: 'eg@example.com' },
+      MAC1: { to: 'ma@example.com', alerts: { zeroRecords: ['MAC1'] } },
+      XYZ1: { to: 'xyz@example.com', alerts: {} }
+    }
+  });
+
+  assert.deepEqual(plans.map(p => [p.to, p.codes, p.reasons, p.report.status]), [
+    ['central@example.com', null, ['1 record(s) failed to post'], 'failed'],
+    // EGC1 is clean: the failed fetch of the whole run does not fail its mail
+    [['sa@example.com'], ['SAC1'], ['1 record(s) failed to post'], 'failed'],
+    ['ma@example.com', ['MAC1'], ['no records for MAC1'], 'success']
+  ]);
+});
+
+test('companies with the same recipients and rules share one mail', t => {
+  quiet(t);
+  const plans = planEmails(finishedRun(), {
+    companyRecipients: {
+      SAC1: { to: 'team@example.com' },
+      EGC1: { to: 'team@example.com' }
+    }
+  });
+  assert.deepEqual(plans.map(p => [p.to, p.codes, p.report.totals.posted]), [['team@example.com', ['SAC1', 'EGC1'], 5]]);
+});
+
+test('planAttachments gives the log and report to the central mail and each team its own CSVs', t => {
+  quiet(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const code of ['SAC1', 'EGC1']) fs.writeFileSync(path.join(dir, `${code}.csv`), 'SalesOrder\r\n');
+
+  const [central, team] = planEmails(finishedRun({ csvDir: dir }), {
+    to: 'central@example.com',
+    companyRecipients: { SAC1: { to: 'sa@example.com' } }
+  });
+  const files = {
+    log: { filename: 'run.txt', content: 'log lines' },
+    reportFiles: { htmlPath: path.join(dir, 'RunReport_R1.html'), jsonPath: path.join(dir, 'RunReport_R1.json') }
+  };
+  const names = (plan, attach) => planAttachments(plan, attach, files).map(a => a.filename);
+
+  assert.deepEqual(names(central, { log: true, csv: false, report: false }), ['run.txt']);
+  assert.deepEqual(names(central, { log: true, csv: true, report: true }),
+    ['run.txt', 'SAC1.csv', 'EGC1.csv', 'RunReport_R1.html', 'RunReport_R1.json']);
+  assert.deepEqual(names(team, { log: true, csv: true, report: true }), ['SAC1.csv']);
+  assert.equal(planAttachments(central, { log: true }, files)[0].content.toString('utf8'), 'log lines');
+
+  fs.rmSync(path.join(dir, 'SAC1.csv'));
+  assert.deepEqual(names(team, { csv: true }), [], 'a CSV that is gone is not attached');
+});
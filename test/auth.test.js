@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { getAuthProvider, applyAuth } = require('../src/auth');
+
+// One local server is both the token endpoint (/token/<case>) and the API (/api/<case>).
+// Each test uses its own <case>, so it also gets its own cached provider.
+let server;
+let base;
+const tokenResponses = {}; // case -> (n) => token response body for the n-th token
+const issued = {}; // case -> number of tokens fetched
+const apiCalls = {}; // case -> Authorization headers seen by the API
+const rejected = new Set(); // tokens the API answers with 401
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [, kind, name] = req.url.split('?')[0].split('/');
+    if (kind === 'token') {
+      issued[name] = (issued[name] || 0) + 1;
+      const body = tokenResponses[name](issued[name]);
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+      return;
+    }
+    (apiCalls[name] = apiCalls[name] || []).push(req.headers.authorization);
+    const status = rejected.has(req.headers.authorization) ? 401 : 200;
+    // /api/<case>?delay=<ms> answers late
+    const delay = Number(new URL(req.url, 'http://x').searchParams.get('delay')) || 0;
+    setTimeout(() => res.writeHead(status, { 'Content-Type': 'application/json' }).end('{}'), delay);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+function oauthClient(t, name, tokenResponse, auth = {}) {
+  t.mock.method(console, 'log', () => {});
+  tokenResponses[name] = tokenResponse;
+  const provider = getAuthProvider({
+    hostname: base,
+    auth: { type: 'oauth2', tokenUrl: `${base}/token/${name}`, clientId: 'id', clientSecret: 'secret', ...auth }
+  });
+  const client = applyAuth(axios.create({ baseURL: base }), provider);
+  return { client, get: (delay = 0) => client.get(`/api/${name}${delay ? `?delay=${delay}` : ''}`) };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the token is cached and shared by concurrent requests', async t => {
+  const { get } = oauthClient(t, 'cache', n => ({ access_token: `cache-${n}`, expires_in: 3600 }));
+  await Promise.all([get(), get(), get()]);
+  await get();
+  assert.equal(issued.cache, 1);
+  assert.deepEqual(apiCalls.cache, Array(4).fill('Bearer cache-1'));
+});
+
+test('a token response without expires_in is still cached', async t => {
+  const { get } = oauthClient(t, 'noexpiry', n => ({ access_token: `noexpiry-${n}` }));
+  await get();
+  await get();
+  assert.equal(issued.noexpiry, 1);
+});
+
+test('the token is refreshed before it expires', async t => {
+  // 2 s lifetime with a 60 s skew: refreshed after half of the lifetime
+  const { get } = oauthClient(t, 'refresh', n => ({ access_token: `refresh-${n}`, expires_in: 2 }));
+  await get();
+  await get();
+  assert.equal(issued.refresh, 1);
+  await sleep(1100);
+  await get();
+  assert.equal(issued.refresh, 2);
+  assert.deepEqual(apiCalls.refresh, ['Bearer refresh-1', 'Bearer refresh-1', 'Bearer refresh-2']);
+});
+
+test('a 401 is retried once with a new token', async t => {
+  const { get } = oauthClient(t, 'revoked', n => ({ access_token: `revoked-${n}`, expires_in: 3600 }));
+  rejected.add('Bearer revoked-1');
+  await get();
+  assert.deepEqual(apiCalls.revoked, ['Bearer revoked-1', 'Bearer revoked-2']);
+
+  // a 401 with the new token as well is not retried again
+  rejected.add('Bearer revoked-2');
+  rejected.add('Bearer revoked-3');
+  await assert.rejects(get(), err => err.response.status === 401);
+  assert.deepEqual(apiCalls.revoked.slice(2), ['Bearer revoked-2', 'Bearer revoked-3']);
+  assert.equal(issued.revoked, 3);
+});
+
+test('a late 401 for a replaced token does not drop the new one', async t => {
+  const { get } = oauthClient(t, 'late', n => ({ access_token: `late-${n}`, expires_in: 3600 }));
+  rejected.add('Bearer late-1');
+  // both start with late-1; the fast one is retried with late-2 before the slow one fails
+  await Promise.all([get(300), get()]);
+  assert.equal(issued.late, 2);
+  assert.deepEqual(apiCalls.late, ['Bearer late-1', 'Bearer late-1', 'Bearer late-2', 'Bearer late-2']);
+});
+
+test('basic auth sends the configured user and never retries a 401', async () => {
+  const provider = getAuthProvider({ hostname: base, username: 'user', password: 'pw' });
+  const client = applyAuth(axios.create({ baseURL: base }), provider);
+  rejected.add(`Basic ${Buffer.from('user:pw').toString('base64')}`);
+  await assert.rejects(client.get('/api/basic'), err => err.response.status === 401);
+  assert.equal(apiCalls.basic.length, 1);
+});
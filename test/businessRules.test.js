@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRules, pickAccountingLine, DEFAULT_RULES } = require('../src/businessRules');
+
+test('defaults apply without a rules section', () => {
+  assert.deepEqual(resolveRules({}, 'SAC1'), DEFAULT_RULES);
+});
+
+test('rules.* and rules.overrides.<CompanyCode> replace single keys', () => {
+  const config = {
+    rules: {
+      downPaymentStatuses: ['D', 'E'],
+      overrides: { EGC1: { disallowedStatuses: ['Paid'], accountingLine: 'positive' } }
+    }
+  };
+  assert.deepEqual(resolveRules(config, 'SAC1'), { ...DEFAULT_RULES, downPaymentStatuses: ['D', 'E'] });
+  assert.deepEqual(resolveRules(config, ' EGC1 '), {
+    ...DEFAULT_RULES,
+    downPaymentStatuses: ['D', 'E'],
+    disallowedStatuses: ['Paid'],
+    accountingLine: 'positive'
+  });
+});
+
+test('pickAccountingLine follows rules.accountingLine', () => {
+  const lines = [
+    { AccountingDocument: 'A', AmountInTransactionCurrency: 100 },
+    { AccountingDocument: 'B', AmountInTransactionCurrency: -100 }
+  ];
+  assert.equal(pickAccountingLine(lines, DEFAULT_RULES).AccountingDocument, 'B');
+  assert.equal(pickAccountingLine(lines, { accountingLine: 'positive' }).AccountingDocument, 'A');
+  assert.equal(pickAccountingLine([], DEFAULT_RULES), undefined);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../src/cli');
+
+test('defaults to run without filters', () => {
+  const { command, args, options } = parseArgs([]);
+  assert.equal(command, 'run');
+  assert.deepEqual(args, []);
+  assert.deepEqual(options.companies, []);
+  assert.equal(options.dryRun, false);
+  assert.equal(options.resume, false);
+});
+
+test('company filters are comma-separated, repeatable and accept --flag=value', () => {
+  const { options } = parseArgs(['--company', 'SAC1, EGC1', '--company=AEC1', '--exclude-company', 'MAC1,',
+    '--scenario=B', '--exclude-scenario', 'C', '--invoice-type', 'EInvoice', '--exclude-invoice-type=Paper']);
+  assert.deepEqual(options.companies, ['SAC1', 'EGC1', 'AEC1']);
+  assert.deepEqual(options.excludeCompanies, ['MAC1']);
+  assert.deepEqual(options.scenarios, ['B']);
+  assert.deepEqual(options.excludeScenarios, ['C']);
+  assert.deepEqual(options.invoiceTypes, ['EInvoice']);
+  assert.deepEqual(options.excludeInvoiceTypes, ['Paper']);
+});
+
+test('filters combine with commands and their arguments in any order', () => {
+  const post = parseArgs(['--company', 'SAC1', 'post', '--dry-run']);
+  assert.equal(post.command, 'post');
+  assert.deepEqual(post.options.companies, ['SAC1']);
+  assert.equal(post.options.dryRun, true);
+
+  const replay = parseArgs(['replay', 'EGC1', '--exclude-company', 'MAC1', '--resume']);
+  assert.equal(replay.command, 'replay');
+  assert.deepEqual(replay.args, ['EGC1']);
+  assert.deepEqual(replay.options.excludeCompanies, ['MAC1']);
+  assert.equal(replay.options.resume, true);
+
+  const ledger = parseArgs(['ledger', 'show', 'SAC1|90001|2025|1001/10', '--config', 'c.yaml', '--output=out']);
+  assert.deepEqual([ledger.command, ...ledger.args], ['ledger', 'show', 'SAC1|90001|2025|1001/10']);
+  assert.equal(ledger.options.configPath, 'c.yaml');
+  assert.equal(ledger.options.outputFolder, 'out');
+
+  const secrets = parseArgs(['secrets', 'encrypt', 'plain.yaml', '--merge']);
+  assert.deepEqual([secrets.command, ...secrets.args], ['secrets', 'encrypt', 'plain.yaml']);
+  assert.equal(secrets.options.merge, true);
+  assert.equal(secrets.options.force, false);
+});
+
+test('rejects unknown commands and options and missing values', () => {
+  assert.throws(() => parseArgs(['deploy']), /Unknown command "deploy"/);
+  assert.throws(() => parseArgs(['--companies', 'SAC1']), /Unknown option --companies/);
+  assert.throws(() => parseArgs(['post', '--company']), /Missing value for --company/);
+  assert.throws(() => parseArgs(['--company', '--dry-run']), /Missing value for --company/);
+});
+
+test('-h and --help ask for the usage', () => {
+  assert.equal(parseArgs(['-h']).options.help, true);
+  assert.equal(parseArgs(['status', '--help']).options.help, true);
+});
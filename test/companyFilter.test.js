@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCompanyFilter, applyCompanyFilter, describeCompanyFilter } = require('../src/companyFilter');
+
+const ROWS = [
+  { CompanyCode: 'SAC1', Scenario: 'A', InvoiceType: 'EInvoice' },
+  { CompanyCode: 'EGC1', Scenario: 'A', InvoiceType: 'EInvoice' },
+  { CompanyCode: 'AEC1', Scenario: 'B', InvoiceType: 'EInvoice' },
+  { CompanyCode: 'MAC1', Scenario: 'A', InvoiceType: 'Paper' }
+];
+
+function select(t, config, options) {
+  const logged = [];
+  t.mock.method(console, 'log', msg => logged.push(msg));
+  const codes = applyCompanyFilter(ROWS, buildCompanyFilter(config, options)).map(r => r.CompanyCode);
+  return { codes, logged };
+}
+
+test('no filters select every company', t => {
+  assert.deepEqual(select(t, {}, {}).codes, ['SAC1', 'EGC1', 'AEC1', 'MAC1']);
+  assert.equal(describeCompanyFilter(buildCompanyFilter({}, {})), 'none');
+});
+
+test('include and exclude combine across fields', t => {
+  const { codes, logged } = select(t, {
+    filters: { include: { Scenario: ['A'] }, exclude: { InvoiceType: ['Paper'] } }
+  }, {});
+  assert.deepEqual(codes, ['SAC1', 'EGC1']);
+  assert.deepEqual(logged, ['Filtered out AEC1: Scenario=B not included', 'Filtered out MAC1: InvoiceType=Paper excluded']);
+});
+
+test('CLI includes replace the configured include list, CLI excludes add to it', t => {
+  const config = { filters: { include: { CompanyCode: ['SAC1'] }, exclude: { CompanyCode: ['MAC1'] } } };
+  const filter = buildCompanyFilter(config, { companies: ['EGC1', 'MAC1', 'AEC1'], excludeCompanies: ['AEC1'] });
+  assert.deepEqual(filter.include.CompanyCode, ['EGC1', 'MAC1', 'AEC1']);
+  assert.deepEqual(filter.exclude.CompanyCode, ['MAC1', 'AEC1']);
+  assert.equal(describeCompanyFilter(filter), 'CompanyCode in [EGC1,MAC1,AEC1], CompanyCode not in [MAC1,AEC1]');
+  assert.deepEqual(select(t, config, { companies: ['EGC1', 'MAC1', 'AEC1'], excludeCompanies: ['AEC1'] }).codes, ['EGC1']);
+});
+
+test('an empty CLI include keeps the configured one', t => {
+  const config = { filters: { include: { InvoiceType: ['Paper'] } } };
+  assert.deepEqual(select(t, config, { invoiceTypes: [], scenarios: [] }).codes, ['MAC1']);
+});
+
+test('unknown codes select nothing when included and change nothing when excluded', t => {
+  assert.deepEqual(select(t, {}, { companies: ['XXX1'] }).codes, []);
+  assert.deepEqual(select(t, {}, { excludeCompanies: ['XXX1'], excludeScenarios: ['Z'] }).codes, ['SAC1', 'EGC1', 'AEC1', 'MAC1']);
+});
+
+test('config values are trimmed and may be a single string', t => {
+  const config = { filters: { include: { CompanyCode: ' AEC1 ' }, exclude: { Scenario: [' '] } } };
+  assert.deepEqual(buildCompanyFilter(config, {}).exclude.Scenario, []);
+  assert.deepEqual(select(t, config, {}).codes, ['AEC1']);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateConfig, loadConfig } = require('../src/config');
+const { INVOICE_CSV_COLUMNS } = require('../src/csv');
+
+// Smallest config that passes validation; each test adds the keys it checks
+function baseConfig(extra = {}) {
+  return {
+    env: 'TEST',
+    credentials: { test: { username: 'user', password: 'secret', hostname: 'https://sap' } },
+    cpi: {
+      endpoints: {
+        FilterSalesOrderHeader: '/FilterSalesOrderHeader',
+        FilterSalesOrderItem: '/FilterSalesOrderItem',
+        GetAccountingDocument: '/GetAccountingDocument',
+        Flag: '/Flag',
+        ScenarioB: '/ScenarioB',
+        GetSalesOrderB: '/GetSalesOrderB',
+        PrepaymentAutomation: 'https://cpi/PrepaymentAutomation'
+      }
+    },
+    ...extra
+  };
+}
+
+test('the base config is valid', () => {
+  assert.deepEqual(validateConfig(baseConfig()), []);
+});
+
+test('odata.flagBatchSize must be a whole number of at least 1', () => {
+  assert.deepEqual(validateConfig(baseConfig({ odata: { flagBatchSize: 25 } })), []);
+  assert.deepEqual(validateConfig(baseConfig({ odata: { flagBatchSize: 0 } })), ['odata.flagBatchSize: must be at least 1 but got 0']);
+  assert.deepEqual(validateConfig(baseConfig({ odata: { flagBatchSize: -5 } })), ['odata.flagBatchSize: must be at least 1 but got -5']);
+  assert.deepEqual(validateConfig(baseConfig({ odata: { flagBatchSize: 2.5 } })), ['odata.flagBatchSize: must be a whole number but got 2.5']);
+});
+
+test('concurrency settings must be positive whole numbers', () => {
+  const problems = validateConfig(baseConfig({
+    performance: { flagConcurrency: 2.5, postRetries: 0, httpTimeoutMs: 1500.5, overrides: { qa: { postConcurrency: 0 } } },
+    odata: { rateLimits: { default: { maxConcurrent: 0 }, Flag: { maxConcurrent: 1.5, minIntervalMs: 50 } } }
+  }));
+  assert.deepEqual(problems, [
+    'odata.rateLimits.default.maxConcurrent: must be at least 1 but got 0',
+    'odata.rateLimits.Flag.maxConcurrent: must be a whole number but got 1.5',
+    'performance.flagConcurrency: must be a whole number but got 2.5',
+    'performance.overrides.qa.postConcurrency: must be at least 1 but got 0'
+  ]);
+});
+
+test('unknown keys under declared objects are reported, with a hint for a wrong case', () => {
+  const config = baseConfig({ filteroutSo: ['1004'], odata: { flagBatchsize: 10, retries: 3 } });
+  config.cpi.endpoints.PrepaymentAutomationb = 'https://cpi/B';
+  assert.deepEqual(validateConfig(config), [
+    'cpi.endpoints.PrepaymentAutomationb: unknown key (did you mean PrepaymentAutomationB?)',
+    'odata.flagBatchsize: unknown key (did you mean flagBatchSize?)',
+    'odata.retries: unknown key',
+    'filteroutSo: unknown key (did you mean filteroutSO?)'
+  ]);
+});
+
+test('keys of free-form maps are not unknown keys', () => {
+  const config = baseConfig({
+    rules: { overrides: { EGC1: { disallowedStatuses: ['Paid'] } } },
+    odata: { rateLimits: { Flag: { maxConcurrent: 4 } } },
+    cpi: { ...baseConfig().cpi, payloadMapping: { normal: { AnyPayloadField: 'SalesOrder' } } }
+  });
+  assert.deepEqual(validateConfig(config), []);
+  config.rules.overrides.EGC1.disalowedStatuses = ['Paid'];
+  assert.deepEqual(validateConfig(config), ['rules.overrides.EGC1.disalowedStatuses: unknown key']);
+});
+
+test('payloadMapping values must be CSV columns', () => {
+  const config = baseConfig({
+    cpi: { ...baseConfig().cpi, payloadMapping: { B: { OriginalBillingDocument: 'OriginalBillingDoc', Customer: 'Customer' } } }
+  });
+  assert.deepEqual(validateConfig(config), [
+    `cpi.payloadMapping.B.OriginalBillingDocument: must be one of ${INVOICE_CSV_COLUMNS.join(', ')} but got OriginalBillingDoc`
+  ]);
+});
+
+test('only the credentials of the active env must be complete', () => {
+  const config = baseConfig();
+  config.credentials.prd = { auth: { type: 'oauth2', tokenUrl: 'https://token' } };
+  assert.deepEqual(validateConfig(config), []);
+
+  config.env = 'PRD';
+  assert.deepEqual(validateConfig(config), [
+    'credentials.prd.hostname: is required',
+    'credentials.prd.auth.clientId: is required for oauth2 auth',
+    'credentials.prd.auth.clientSecret: is required for oauth2 auth'
+  ]);
+});
+
+test('placeholders in the credentials of other envs are left alone', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const config = baseConfig({ outputfolder: '${env:OUT_DIR}' });
+  config.credentials.test.password = '${env:TEST_PASSWORD}';
+  config.credentials.prd = { hostname: 'https://prd', username: 'svc', password: '${secret:prd_password}' };
+  fs.writeFileSync(path.join(dir, 'config.yaml'), yaml.dump(config));
+
+  const loaded = loadConfig(path.join(dir, 'config.yaml'), { TEST_PASSWORD: 'pw', OUT_DIR: 'out' });
+  assert.equal(loaded.credentials.test.password, 'pw');
+  assert.equal(loaded.outputfolder, 'out');
+  assert.equal(loaded.credentials.prd.password, '${secret:prd_password}');
+
+  assert.throws(() => loadConfig(path.join(dir, 'config.yaml'), { OUT_DIR: 'out' }),
+    /credentials\.test\.password: environment variable TEST_PASSWORD is not set/);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsv, parseCsvRows, parseCsvRecords, INVOICE_CSV_COLUMNS, REQUIRED_INVOICE_COLUMNS } = require('../src/csv');
+
+test('formatCsv quotes commas, quotes and line breaks and round-trips through parseCsvRecords', () => {
+  const rows = [
+    { SalesOrder: '1001', Customer: 'Acme, Inc.' },
+    { SalesOrder: '1002', Customer: 'The "Best" GmbH' },
+    { SalesOrder: '1003', Customer: 'line one\r\nline two' },
+    { SalesOrder: '1004', Customer: null }
+  ];
+  const text = formatCsv(['SalesOrder', 'Customer'], rows);
+  assert.equal(text, 'SalesOrder,Customer\r\n1001,"Acme, Inc."\r\n1002,"The ""Best"" GmbH"\r\n1003,"line one\r\nline two"\r\n1004,\r\n');
+
+  const { records, errors } = parseCsvRecords(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(r => r.Customer), ['Acme, Inc.', 'The "Best" GmbH', 'line one\r\nline two', '']);
+});
+
+test('parseCsvRows reports the line a row starts on across embedded newlines', () => {
+  const rows = parseCsvRows('a,b\n"x\ny\nz",1\n\n2,3\n');
+  assert.deepEqual(rows, [
+    { line: 1, fields: ['a', 'b'] },
+    { line: 2, fields: ['x\ny\nz', '1'] },
+    { line: 6, fields: ['2', '3'] }
+  ]);
+});
+
+test('a leading Excel BOM is not part of the first column name', () => {
+  const { columns, records } = parseCsvRecords('\uFEFFSalesOrder,CompanyCode\r\n1001,SAC1\r\n');
+  assert.deepEqual(columns, ['SalesOrder', 'CompanyCode']);
+  assert.deepEqual(records, [{ SalesOrder: '1001', CompanyCode: 'SAC1' }]);
+});
+
+test('rows with the wrong field count are returned as errors with their line', () => {
+  const text = 'SalesOrder,CompanyCode\n1001,SAC1\n1002\n"10\n03",SAC1,extra\n1004,SAC1\n';
+  const { records, errors } = parseCsvRecords(text);
+  assert.deepEqual(records.map(r => r.SalesOrder), ['1001', '1004']);
+  assert.deepEqual(errors, [
+    { line: 3, message: 'expected 2 fields but got 1' },
+    { line: 4, message: 'expected 2 fields but got 3' }
+  ]);
+});
+
+test('broken quoting is an error of its own row only', () => {
+  const text = 'SalesOrder,CompanyCode\n1001,SA"C1\n1002,SAC1\n1003,"open\n1004,SAC1\n';
+  const { records, errors } = parseCsvRecords(text);
+  assert.deepEqual(errors, [
+    { line: 2, message: 'unexpected quote inside an unquoted field' },
+    { line: 4, message: 'unterminated quoted field' }
+  ]);
+  assert.deepEqual(records.map(r => r.SalesOrder), ['1002', '1004']);
+});
+
+test('missing required columns and a broken header throw', () => {
+  assert.throws(() => parseCsvRecords('SalesOrder\n1001\n', { requiredColumns: REQUIRED_INVOICE_COLUMNS }),
+    /Missing CSV column\(s\): SalesOrderItem/);
+  assert.throws(() => parseCsvRecords('Sales"Order,b\n1,2\n'), /Line 1: unexpected quote/);
+  assert.ok(!REQUIRED_INVOICE_COLUMNS.includes('OriginalBillingDocument'));
+  assert.ok(INVOICE_CSV_COLUMNS.includes('OriginalBillingDocument'));
+});
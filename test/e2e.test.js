@@ -0,0 +1,435 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const xlsx = require('xlsx');
+const yaml = require('js-yaml');
+const { startMockSap, loadFixtures } = require('./mockSap');
+const { parseCsvRecords, formatCsv, INVOICE_CSV_COLUMNS } = require('../src/csv');
+const { openLedger } = require('../src/ledger');
+const { readSecretsFile } = require('../src/secrets');
+
+// Full fetch → CSV → post → archive pipeline of src/main.js against the mock SAP/CPI server.
+// Each test gets its own folder with config.yaml, CompanyCodeList.xlsx, output, logs and reports.
+
+const MAIN = path.join(__dirname, '..', 'src', 'main.js');
+
+const COMPANIES = [
+  { CompanyCode: 'SAC1', Scenario: 'A', InvoiceType: 'EInvoice', CheckFlagNA: 'No' },
+  { CompanyCode: 'EGC1', Scenario: 'A', InvoiceType: 'EInvoice', CheckFlagNA: 'Yes' },
+  { CompanyCode: 'AEC1', Scenario: 'B', InvoiceType: 'EInvoice', CheckFlagNA: 'No' },
+  { CompanyCode: 'MAC1', Scenario: 'A', InvoiceType: 'Paper', CheckFlagNA: 'No' }
+];
+
+let sap;
+let dir;
+
+function writeWorkspace(overrides = {}, companies = COMPANIES) {
+  const config = {
+    env: 'TEST',
+    credentials: { test: { username: 'user', password: 'secret', hostname: sap.url } },
+    cpi: {
+      endpoints: {
+        FilterSalesOrderHeader: '/FilterSalesOrderHeader',
+        FilterSalesOrderItem: '/FilterSalesOrderItem',
+        GetAccountingDocument: '/GetAccountingDocument',
+        Flag: '/Flag',
+        ScenarioB: '/ScenarioB',
+        GetSalesOrderB: '/GetSalesOrderB',
+        PrepaymentAutomation: `${sap.url}/PrepaymentAutomation`,
+        PrepaymentAutomationB: `${sap.url}/PrepaymentAutomationB`
+      }
+    },
+    odata: { retry: { retries: 2, baseDelayMs: 10, maxDelayMs: 50 } },
+    performance: { postRetries: 1, postBackoffMs: 10 },
+    outputfolder: 'output',
+    companyList: 'CompanyCodeList.xlsx',
+    filteroutSO: ['1004'],
+    ...overrides
+  };
+  fs.writeFileSync(path.join(dir, 'config.yaml'), yaml.dump(config));
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(companies), 'Companies');
+  xlsx.writeFile(workbook, path.join(dir, 'CompanyCodeList.xlsx'));
+}
+
+function runMain(...args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [MAIN, ...args, '--config', path.join(dir, 'config.yaml'), '--output', path.join(dir, 'output')], {
+      cwd: dir,
+      timeout: 60000,
+      env: {
+        ...process.env,
+        LOG_DIR: path.join(dir, 'logs'),
+        REPORT_DIR: path.join(dir, 'reports'),
+        DEBUG_DIR: path.join(dir, 'debug')
+      }
+    }, (err, stdout, stderr) => (err ? reject(Object.assign(err, { stdout, stderr })) : resolve(stdout)));
+  });
+}
+
+const companyDir = code => path.join(dir, 'output', code);
+const listCsvs = d => (fs.existsSync(d) ? fs.readdirSync(d).filter(f => f.endsWith('.csv')) : []);
+
+function archivedRecords(code) {
+  const archive = path.join(companyDir(code), 'archive');
+  return listCsvs(archive).flatMap(f => parseCsvRecords(fs.readFileSync(path.join(archive, f), 'utf8')).records);
+}
+
+function latestReport() {
+  // run IDs of runs started in the same second do not sort by time
+  const reports = fs.readdirSync(path.join(dir, 'reports'))
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, 'reports', f), 'utf8')))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  return reports[reports.length - 1];
+}
+
+function writeCsv(code, name, docs, mtime = new Date()) {
+  const file = path.join(companyDir(code), name);
+  fs.mkdirSync(companyDir(code), { recursive: true });
+  fs.writeFileSync(file, formatCsv(INVOICE_CSV_COLUMNS, docs.map((AccountingDocument, i) => ({
+    SalesOrder: String(5001 + i), SalesOrderItem: '10', AccountingDocument, CompanyCode: code, FiscalYear: '2025'
+  }))));
+  fs.utimesSync(file, mtime, mtime);
+}
+
+// checkpoint.json of a run that died; companies: { code: { csv, stage, lastIndex } }
+function writeCheckpoint(command, stage, companies) {
+  fs.mkdirSync(path.join(dir, 'output'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'output', 'checkpoint.json'), JSON.stringify({
+    version: 1, runId: '20250101T000000-abc123', command, startedAt: new Date().toISOString(), stage, companies
+  }));
+}
+
+const checkpointStage = () => JSON.parse(fs.readFileSync(path.join(dir, 'output', 'checkpoint.json'), 'utf8')).stage;
+
+const postedDocs = endpoint => sap.posts.filter(p => p.endpoint === endpoint).map(p => p.body.Accountingdocument).sort();
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-e2e-'));
+});
+
+afterEach(async () => {
+  await sap?.close();
+  sap = null;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('run fetches, filters, posts and archives every company (V2 paging)', async () => {
+  sap = await startMockSap({ paging: 'v2', pageSize: 2 });
+  writeWorkspace();
+
+  await runMain('run');
+
+  // step filters: status D items, filteroutSO, Paid/Yes/NA flags, InvoiceClearingStatus C
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001', '90012']);
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), ['95001']);
+
+  const sac = sap.posts.find(p => p.body.Accountingdocument === '90001').body;
+  assert.deepEqual(sac, {
+    Accountingdocument: '90001',
+    SFID_I: 'SF-1001-10',
+    Customer: 'C100',
+    SalesDocument: '1001',
+    SalesDocumentItem: '10',
+    Companycode: 'SAC1',
+    Fiscalyear: '2025'
+  });
+  const b = sap.posts.find(p => p.endpoint === 'PrepaymentAutomationB').body;
+  assert.equal(b.OriginalBillingDocument, '7001');
+  assert.equal(b.Customer, 'C300');
+
+  // processed CSVs are archived; MAC1 (InvoiceType Paper) stays pending
+  for (const code of ['SAC1', 'EGC1', 'AEC1']) {
+    assert.deepEqual(listCsvs(companyDir(code)), [], `${code} CSV not archived`);
+  }
+  assert.deepEqual(archivedRecords('SAC1').map(r => r.AccountingDocument), ['90001']);
+  assert.equal(listCsvs(companyDir('MAC1')).length, 1);
+
+  // paging was followed: several header pages were requested for SAC1
+  assert.ok(sap.calls('FilterSalesOrderHeader').some(r => r.query.$skiptoken));
+
+  const report = latestReport();
+  assert.equal(report.status, 'success');
+  assert.deepEqual(report.companies.SAC1.fetch.filtered, { status: 1, flag: 1 });
+  assert.equal(report.companies.SAC1.fetch.step1, 5);
+  assert.equal(report.totals.posted, 3);
+
+  assert.equal(openLedger(path.join(dir, 'output')).list().length, 3);
+});
+
+test('--dry-run posts nothing and leaves the ledger, the CSVs and the checkpoint alone', async () => {
+  sap = await startMockSap();
+  writeWorkspace();
+  const output = path.join(dir, 'output');
+  openLedger(output).record({ CompanyCode: 'SAC1', AccountingDocument: '90001', FiscalYear: '2025', SalesOrder: '1001', SalesOrderItem: '10' },
+    { url: `${sap.url}/PrepaymentAutomation`, payload: {}, status: 201, sourceCsv: 'earlier.csv' });
+  fs.appendFileSync(path.join(output, 'ledger.jsonl'), '{"key":"SAC1|9'); // a real run would compact this away
+  const ledgerBefore = fs.readFileSync(path.join(output, 'ledger.jsonl'), 'utf8');
+
+  await runMain('run', '--dry-run');
+
+  assert.deepEqual(sap.posts, []);
+  assert.equal(fs.readFileSync(path.join(output, 'ledger.jsonl'), 'utf8'), ledgerBefore);
+  assert.ok(!fs.existsSync(path.join(output, 'checkpoint.json')), 'no checkpoint');
+
+  const wouldPost = code => {
+    const reports = fs.readdirSync(path.join(companyDir(code), 'dryrun'));
+    assert.equal(reports.length, 1);
+    return JSON.parse(fs.readFileSync(path.join(companyDir(code), 'dryrun', reports[0]), 'utf8'));
+  };
+  const sac = wouldPost('SAC1');
+  assert.equal(sac.recordCount, 0);
+  assert.deepEqual(sac.alreadyDelivered, ['SAC1|90001|2025|1001/10']);
+  assert.deepEqual(wouldPost('EGC1').payloads.map(p => p.Accountingdocument), ['90012']);
+  assert.deepEqual(wouldPost('AEC1').payloads.map(p => p.OriginalBillingDocument), ['7001']);
+  for (const code of ['SAC1', 'EGC1', 'AEC1']) {
+    assert.equal(listCsvs(companyDir(code)).length, 1, `${code} CSV not archived`);
+  }
+
+  const report = latestReport();
+  assert.equal(report.dryRun, true);
+  assert.equal(report.companies.EGC1.post.wouldPost, 1);
+  assert.equal(report.companies.SAC1.post.skipped, 1);
+});
+
+test('V4 paging and transient 503s give the same result', async () => {
+  sap = await startMockSap({ paging: 'v4', pageSize: 1 });
+  sap.failures.push(
+    { endpoint: 'FilterSalesOrderItem', status: 503, times: 2, retryAfter: 0 },
+    { endpoint: 'Flag', status: 429, times: 1, retryAfter: 0 }
+  );
+  writeWorkspace();
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001', '90012']);
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), ['95001']);
+  assert.ok(sap.calls('ScenarioB').some(r => r.query.$skiptoken), 'V4 nextLink not followed');
+  assert.equal(sap.posts.find(p => p.body.Accountingdocument === '90001').body.Fiscalyear, '2025');
+  assert.equal(latestReport().status, 'success');
+});
+
+test('Scenario B companies go through the InvoiceType gate', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.map(c => (c.CompanyCode === 'AEC1' ? { ...c, InvoiceType: 'Paper' } : c)));
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), []);
+  assert.equal(listCsvs(companyDir('AEC1')).length, 1, 'AEC1 CSV stays pending');
+  assert.deepEqual(latestReport().companies.AEC1.notes, ['not posted: InvoiceType=Paper']);
+});
+
+test('failed POSTs are dead-lettered and delivered by replay', async () => {
+  sap = await startMockSap();
+  sap.failures.push({ endpoint: 'PrepaymentAutomation', status: 500, times: Infinity, match: body => body.Accountingdocument === '90012' });
+  writeWorkspace();
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001']);
+  const report = latestReport();
+  assert.equal(report.status, 'failed');
+  assert.deepEqual(report.companies.EGC1.post.failures.map(f => [f.AccountingDocument, f.status]), [['90012', 500]]);
+
+  const deadLetters = JSON.parse(fs.readFileSync(path.join(companyDir('EGC1'), 'deadletter.json'), 'utf8'));
+  assert.equal(Object.keys(deadLetters.entries).length, 1);
+
+  sap.failures.length = 0;
+  await runMain('replay');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001', '90012']);
+  const after = JSON.parse(fs.readFileSync(path.join(companyDir('EGC1'), 'deadletter.json'), 'utf8'));
+  assert.equal(Object.keys(after.entries).length, 0);
+});
+
+test('malformed CSV rows count as failed in the run report', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  fs.mkdirSync(companyDir('SAC1'), { recursive: true });
+  fs.writeFileSync(path.join(companyDir('SAC1'), 'PrePayment_Collection_Invoice_A_SAC1_manual.csv'), formatCsv(INVOICE_CSV_COLUMNS, [
+    { SalesOrder: '1001', SalesOrderItem: '10', AccountingDocument: '90001', CompanyCode: 'SAC1', FiscalYear: '2025' }
+  ]) + '1002,10,SF-1002-10\r\n');
+
+  await runMain('post');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001']);
+  const report = latestReport();
+  assert.equal(report.status, 'failed');
+  assert.equal(report.companies.SAC1.post.failed, 1);
+  assert.deepEqual(report.companies.SAC1.post.failures.map(f => f.message), ['line 3: expected 8 fields but got 3']);
+  assert.equal(listCsvs(path.join(companyDir('SAC1'), 'archive')).length, 1);
+});
+
+test('a stray quote fails its row only and the valid rows are still posted', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  fs.mkdirSync(companyDir('SAC1'), { recursive: true });
+  fs.writeFileSync(path.join(companyDir('SAC1'), 'PrePayment_Collection_Invoice_A_SAC1_manual.csv'), formatCsv(INVOICE_CSV_COLUMNS, [
+    { SalesOrder: '1001', SalesOrderItem: '10', AccountingDocument: '90001', CompanyCode: 'SAC1', FiscalYear: '2025' }
+  ]) + '1002,10,SF-1"002,C100,80001,SAC1,2025,\r\n1003,10,SF-1003,C100,80002,SAC1,2025,\r\n');
+
+  await runMain('post');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['80002', '90001']);
+  const report = latestReport();
+  assert.equal(report.status, 'failed');
+  assert.deepEqual(report.companies.SAC1.post.failures.map(f => f.message), ['line 3: unexpected quote inside an unquoted field']);
+});
+
+test('a CSV with an unreadable header is not archived and fails the run', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  fs.mkdirSync(companyDir('SAC1'), { recursive: true });
+  fs.writeFileSync(path.join(companyDir('SAC1'), 'PrePayment_Collection_Invoice_A_SAC1_manual.csv'), 'SalesOrder,"Sales\r\n1001\r\n');
+
+  await runMain('post');
+
+  assert.deepEqual(sap.posts, []);
+  assert.equal(listCsvs(companyDir('SAC1')).length, 1, 'CSV stays in place');
+  const report = latestReport();
+  assert.equal(report.status, 'failed');
+  assert.equal(report.companies.SAC1.post.failed, 1);
+});
+
+test('a second run does not post records already in the ledger', async () => {
+  sap = await startMockSap();
+  writeWorkspace();
+
+  await runMain('run');
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001', '90012']);
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), ['95001']);
+  assert.equal(latestReport().totals.skipped, 3);
+});
+
+test('records failing validation go to the rejected CSV and are not posted', async () => {
+  sap = await startMockSap();
+  writeWorkspace({ validation: { salesforceIdPattern: '^SF-[13]' } });
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001']);
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), ['95001']);
+
+  const rejectedDir = path.join(companyDir('EGC1'), 'rejected');
+  const [file] = listCsvs(rejectedDir);
+  const { records } = parseCsvRecords(fs.readFileSync(path.join(rejectedDir, file), 'utf8'));
+  // validation runs before the Flag lookup, so 90011 (NA flag) is rejected here as well
+  assert.deepEqual(records.map(r => [r.AccountingDocument, r.Reason]).sort(), [
+    ['90011', 'YY1_SALESFORCEID_I_SDI "SF-2001-10" does not match ^SF-[13]'],
+    ['90012', 'YY1_SALESFORCEID_I_SDI "SF-2001-20" does not match ^SF-[13]']
+  ]);
+  assert.deepEqual(listCsvs(companyDir('EGC1')), [], 'no posting CSV for EGC1');
+  assert.deepEqual(latestReport().companies.EGC1.fetch.filtered, { invalid: 2 });
+});
+
+test('a record without AccountingDocument is rejected before the Flag lookup', async () => {
+  // only the positive line of 2001/20 comes back: no AccountingDocument can be picked
+  const fixtures = loadFixtures();
+  fixtures.GetAccountingDocument = fixtures.GetAccountingDocument
+    .filter(r => !(r.AccountingDocument === '90012' && Number(r.AmountInTransactionCurrency) < 0));
+  sap = await startMockSap({ fixtures });
+  writeWorkspace();
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001']);
+  const rejectedDir = path.join(companyDir('EGC1'), 'rejected');
+  const [file] = listCsvs(rejectedDir);
+  const { records } = parseCsvRecords(fs.readFileSync(path.join(rejectedDir, file), 'utf8'));
+  assert.deepEqual(records.map(r => [r.SalesOrder, r.SalesOrderItem]), [['2001', '20']]);
+  assert.match(records[0].Reason, /AccountingDocument is missing/);
+  assert.deepEqual(latestReport().companies.EGC1.fetch.filtered, { invalid: 1, flag: 1 });
+});
+
+test('business rules and per-CompanyCode overrides come from config.yaml', async () => {
+  sap = await startMockSap();
+  writeWorkspace({
+    rules: {
+      overrides: {
+        SAC1: { disallowedStatuses: ['Sent', 'Error'] },   // Paid 90002 is collected again
+        MAC1: { postInvoiceTypes: ['EInvoice', 'Paper'] }
+      }
+    }
+  });
+
+  await runMain('run');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['90001', '90002', '90012', '90041']);
+  assert.deepEqual(postedDocs('PrepaymentAutomationB'), ['95001']);
+  assert.deepEqual(listCsvs(companyDir('MAC1')), [], 'MAC1 CSV posted and archived');
+  assert.ok(sap.calls('ScenarioB').every(r => r.query.$filter.includes("InvoiceClearingStatus eq 'C'")));
+});
+
+test('--resume posts only the records after lastIndex', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  writeCsv('SAC1', 'PrePayment_Collection_Invoice_A_SAC1_1.csv', ['80001', '80002', '80003']);
+  writeCheckpoint('post', 'post', { SAC1: { csv: 'PrePayment_Collection_Invoice_A_SAC1_1.csv', stage: 'post', lastIndex: 0 } });
+
+  await runMain('post', '--resume');
+
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['80002', '80003']);
+  assert.deepEqual(listCsvs(companyDir('SAC1')), [], 'CSV archived after the resumed post');
+  assert.equal(checkpointStage(), 'done');
+  assert.equal(latestReport().runId, '20250101T000000-abc123');
+});
+
+test('--resume at stage post skips the fetch and the sweep and keeps the checkpointed CSV', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  // the sweep would archive the older, checkpointed CSV in favour of the newer one
+  writeCsv('SAC1', 'PrePayment_Collection_Invoice_A_SAC1_1.csv', ['80001', '80002'], new Date(Date.now() - 60000));
+  writeCsv('SAC1', 'PrePayment_Collection_Invoice_A_SAC1_2.csv', ['80009']);
+  writeCheckpoint('run', 'post', { SAC1: { csv: 'PrePayment_Collection_Invoice_A_SAC1_1.csv', stage: 'post', lastIndex: -1 } });
+
+  await runMain('run', '--resume');
+
+  assert.deepEqual(sap.calls('FilterSalesOrderHeader'), [], 'fetch skipped');
+  assert.deepEqual(postedDocs('PrepaymentAutomation'), ['80001', '80002']);
+  const report = latestReport();
+  assert.deepEqual(Object.keys(report.stages), ['post']);
+  assert.equal(checkpointStage(), 'done');
+});
+
+test('--resume does not post again when the checkpointed CSV was already archived', async () => {
+  sap = await startMockSap();
+  writeWorkspace({}, COMPANIES.filter(c => c.CompanyCode === 'SAC1'));
+  writeCsv('SAC1', 'PrePayment_Collection_Invoice_A_SAC1_2.csv', ['80009']);
+  writeCheckpoint('post', 'post', { SAC1: { csv: 'PrePayment_Collection_Invoice_A_SAC1_1.csv', stage: 'archive', lastIndex: 1 } });
+
+  await runMain('post', '--resume');
+
+  assert.deepEqual(sap.posts, []);
+  assert.deepEqual(listCsvs(companyDir('SAC1')), ['PrePayment_Collection_Invoice_A_SAC1_2.csv'], 'the newer CSV waits for the next run');
+  assert.deepEqual(latestReport().companies.SAC1.notes, ['already completed before resume']);
+  assert.equal(checkpointStage(), 'done');
+});
+
+test('secrets encrypt keeps an existing secrets file unless --merge or --force is given', async t => {
+  process.env.PREPAY_SECRETS_KEY = 'k';
+  t.after(() => { delete process.env.PREPAY_SECRETS_KEY; });
+  const vault = path.join(dir, 'vault.enc');
+  const encrypt = (values, ...flags) => {
+    fs.writeFileSync(path.join(dir, 'plain.yaml'), yaml.dump(values));
+    return runMain('secrets', 'encrypt', path.join(dir, 'plain.yaml'), vault, ...flags);
+  };
+  const stored = () => readSecretsFile(vault, { PREPAY_SECRETS_KEY: 'k' });
+
+  await encrypt({ cpi_password: 'one', smtp_password: 'two' });
+  await assert.rejects(encrypt({ cpi_password: 'changed' }), err => /already exists; use --merge .* or --force/.test(err.stdout));
+  assert.deepEqual(stored(), { cpi_password: 'one', smtp_password: 'two' });
+
+  assert.match(await encrypt({ cpi_password: 'changed' }, '--merge'), /Encrypted 2 secrets to .* \(1 kept from the existing file\)/);
+  assert.deepEqual(stored(), { cpi_password: 'changed', smtp_password: 'two' });
+
+  await encrypt({ api_key: 'three' }, '--force');
+  assert.deepEqual(stored(), { api_key: 'three' });
+});
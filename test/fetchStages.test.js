@@ -0,0 +1,208 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const stages = require('../src/fetchStages');
+
+// Stages run against an injected OData client, no server needed
+
+const config = {
+  cpi: {
+    endpoints: {
+      FilterSalesOrderHeader: '/FilterSalesOrderHeader',
+      FilterSalesOrderItem: '/FilterSalesOrderItem',
+      GetAccountingDocument: '/GetAccountingDocument',
+      Flag: '/Flag',
+      ScenarioB: '/ScenarioB',
+      GetSalesOrderB: '/GetSalesOrderB'
+    }
+  },
+  filteroutSO: ['1004']
+};
+
+const silent = { log() {}, warn() {}, error() {} };
+
+function fakeOData(responses) {
+  const calls = [];
+  return {
+    calls,
+    async getAll(url, params, { endpoint }) {
+      calls.push({ url, endpoint, params });
+      const rows = responses[endpoint];
+      if (rows instanceof Error) throw rows;
+      return typeof rows === 'function' ? rows(params) : rows || [];
+    }
+  };
+}
+
+test('selectPrepaymentHeaders drops headers without scenario and filteroutSO', () => {
+  const headers = [
+    { SalesOrder: '1001', YY1_PrepaymentScenario_SDH: 'A' },
+    { SalesOrder: '1003', YY1_PrepaymentScenario_SDH: ' ' },
+    { SalesOrder: '1004', YY1_PrepaymentScenario_SDH: 'A' }
+  ];
+  assert.deepEqual(stages.selectPrepaymentHeaders(headers, config).map(h => h.SalesOrder), ['1001']);
+});
+
+test('normal scenario stages resolve the negative accounting line', async () => {
+  const odata = fakeOData({
+    FilterSalesOrderItem: [
+      { SalesOrderItem: '10', SlsOrderItemDownPaymentStatus: 'D', YY1_SALESFORCEID_I_SDI: 'SF-10' },
+      { SalesOrderItem: '20', SlsOrderItemDownPaymentStatus: 'C', YY1_SALESFORCEID_I_SDI: 'SF-20' }
+    ],
+    GetAccountingDocument: [
+      { AccountingDocument: '90000', AmountInTransactionCurrency: 100 },
+      { AccountingDocument: '90001', AmountInTransactionCurrency: -100, __metadata: { id: "X(AccountingDocument='90001',FiscalYear='2025')" } }
+    ]
+  });
+  const ctx = stages.createFetchContext({ odata, config, hostname: 'https://sap', log: silent });
+
+  const salesOrders = await stages.fetchDownPaymentItems(ctx, 'SAC1', [{ SalesOrder: '1001', SoldToParty: 'C100' }]);
+  assert.deepEqual(salesOrders, [{
+    CompanyCode: 'SAC1', SalesOrder: '1001', Customer: 'C100',
+    SalesOrderItems: [{ SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF-10' }]
+  }]);
+
+  const [record] = await stages.resolveAccountingDocuments(ctx, salesOrders);
+  assert.equal(record.AccountingDocument, '90001');
+  assert.equal(record.FiscalYear, '2025');
+  assert.equal(odata.calls.find(c => c.endpoint === 'GetAccountingDocument').url, 'https://sap/GetAccountingDocument');
+
+  assert.deepEqual(stages.buildCsvRows([record]), [{
+    SalesOrder: '1001', SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF-10', Customer: 'C100',
+    AccountingDocument: '90001', CompanyCode: 'SAC1', FiscalYear: '2025', OriginalBillingDocument: undefined
+  }]);
+});
+
+test('resolveAccountingDocuments sums V2 Edm.Decimal strings as numbers', async () => {
+  const lines = {
+    '10': [{ AccountingDocument: '90001', AmountInTransactionCurrency: '100.00', FiscalYear: '2025' },
+      { AccountingDocument: '90001', AmountInTransactionCurrency: '-100.00', FiscalYear: '2025' }],
+    '20': [{ AccountingDocument: '90002', AmountInTransactionCurrency: '100.00', FiscalYear: '2025' },
+      { AccountingDocument: '90002', AmountInTransactionCurrency: '-50.00', FiscalYear: '2025' }],
+    '30': [{ AccountingDocument: '90003', AmountInTransactionCurrency: 'n/a', FiscalYear: '2025' },
+      { AccountingDocument: '90003', AmountInTransactionCurrency: '-50.00', FiscalYear: '2025' }]
+  };
+  const odata = fakeOData({ GetAccountingDocument: params => lines[params.$filter.match(/SalesDocumentItem eq '(\d+)'/)[1]] });
+  const ctx = stages.createFetchContext({ odata, config, hostname: '', log: silent });
+
+  const records = await stages.resolveAccountingDocuments(ctx, [{
+    CompanyCode: 'SAC1', SalesOrder: '1001', Customer: 'C100',
+    SalesOrderItems: ['10', '20', '30'].map(SalesOrderItem => ({ SalesOrderItem }))
+  }]);
+
+  assert.deepEqual(records.map(r => r.AccountingDocument), ['90001', '90002', '90003']);
+  assert.equal(records[0].AccountingTotal, 0);
+  assert.equal(records[1].AccountingTotal, 50);
+  assert.ok(Number.isNaN(records[2].AccountingTotal));
+});
+
+test('resolveAccountingDocuments falls back to the entity key and warns when FiscalYear is unknown', async () => {
+  const warnings = [];
+  const log = { ...silent, warn: msg => warnings.push(msg) };
+  const lines = {
+    '10': [{ AccountingDocument: '90001', AmountInTransactionCurrency: -1, '@odata.id': "A_Item(CompanyCode='SAC1',FiscalYear=2024)" }],
+    '20': [{ AccountingDocument: '90002', AmountInTransactionCurrency: -1 }],
+    '30': [{ AccountingDocument: '90003', AmountInTransactionCurrency: -1, FiscalYear: '2025', CompanyCode: 'EGC1' }]
+  };
+  const odata = fakeOData({ GetAccountingDocument: params => lines[params.$filter.match(/SalesDocumentItem eq '(\d+)'/)[1]] });
+  const ctx = stages.createFetchContext({ odata, config, hostname: '', log });
+
+  const records = await stages.resolveAccountingDocuments(ctx, [{
+    CompanyCode: 'SAC1', SalesOrder: '1001', Customer: 'C100',
+    SalesOrderItems: ['10', '20', '30'].map(SalesOrderItem => ({ SalesOrderItem }))
+  }]);
+
+  assert.deepEqual(records.map(r => r.FiscalYear), ['2024', null, '2025']);
+  assert.match(odata.calls[0].params.$select, /FiscalYear,CompanyCode/);
+  assert.deepEqual(warnings, [
+    'Could not resolve FiscalYear of AccountingDocument 90002 for SalesOrder: 1001, Item: 20',
+    'AccountingDocument 90003 belongs to CompanyCode EGC1, not SAC1 (SalesOrder: 1001, Item: 30)'
+  ]);
+});
+
+test('applyFlagFilter reports why each record is dropped', async () => {
+  const odata = fakeOData({
+    Flag: [
+      { AccountingDocument: '2', Statuscode: 'Paid' },
+      { AccountingDocument: '3', FlagSFUpdated: 'Yes' },
+      { AccountingDocument: '4', FlagInvoiceSent: 'NA' }
+    ]
+  });
+  const ctx = stages.createFetchContext({ odata, config, hostname: '', log: silent });
+  const records = ['1', '2', '3', '4', null].map(AccountingDocument => ({ CompanyCode: 'EGC1', AccountingDocument }));
+  const excluded = [];
+
+  const kept = await stages.applyFlagFilter(ctx, records, new Map([['EGC1', { CheckFlagNA: 'Yes' }]]), {
+    onExclude: (r, reason) => excluded.push([r.AccountingDocument, reason])
+  });
+
+  assert.deepEqual(kept.map(r => r.AccountingDocument), ['1']);
+  assert.deepEqual(excluded, [['2', 'status'], ['3', 'flag'], ['4', 'flag'], [null, 'noAccountingDocument']]);
+  assert.equal(odata.calls.length, 1, 'one batched Flag request per CompanyCode');
+});
+
+test('stages apply the per-CompanyCode rules', async () => {
+  const rulesConfig = {
+    ...config,
+    rules: { overrides: { EGC1: { disallowedStatuses: ['Error'], downPaymentStatuses: ['D', 'P'], invoiceClearingStatuses: ['C', 'A'] } } }
+  };
+  const odata = fakeOData({
+    Flag: [{ AccountingDocument: '1', Statuscode: 'Paid' }],
+    FilterSalesOrderItem: [
+      { SalesOrderItem: '10', SlsOrderItemDownPaymentStatus: 'D' },
+      { SalesOrderItem: '20', SlsOrderItemDownPaymentStatus: 'P' }
+    ]
+  });
+  const ctx = stages.createFetchContext({ odata, config: rulesConfig, hostname: '', log: silent });
+
+  const records = [{ CompanyCode: 'SAC1', AccountingDocument: '1' }, { CompanyCode: 'EGC1', AccountingDocument: '1' }];
+  const kept = await stages.applyFlagFilter(ctx, records, new Map());
+  assert.deepEqual(kept.map(r => r.CompanyCode), ['EGC1']);
+
+  const [egc] = await stages.fetchDownPaymentItems(ctx, 'EGC1', [{ SalesOrder: '2001' }]);
+  const [sac] = await stages.fetchDownPaymentItems(ctx, 'SAC1', [{ SalesOrder: '1001' }]);
+  assert.deepEqual(egc.SalesOrderItems.map(i => i.SalesOrderItem), ['10', '20']);
+  assert.deepEqual(sac.SalesOrderItems.map(i => i.SalesOrderItem), ['10']);
+
+  await stages.fetchScenarioBBillingDocuments(ctx, 'EGC1');
+  assert.match(odata.calls.at(-1).params.$filter, /\(InvoiceClearingStatus eq 'C' or InvoiceClearingStatus eq 'A'\)/);
+});
+
+test('applyFlagFilter with tolerateErrors drops records of a failed lookup', async () => {
+  const ctx = stages.createFetchContext({ odata: fakeOData({ Flag: new Error('503') }), config, hostname: '', log: silent });
+  const excluded = [];
+  const kept = await stages.applyFlagFilter(ctx, [{ CompanyCode: 'AEC1', AccountingDocument: '95001' }], new Map(), {
+    tolerateErrors: true,
+    onExclude: (r, reason) => excluded.push(reason)
+  });
+  assert.deepEqual(kept, []);
+  assert.deepEqual(excluded, ['flagLookupFailed']);
+});
+
+test('Scenario B stages join billing documents, items and customers', async () => {
+  const odata = fakeOData({
+    ScenarioB: [{ BillingDocument: '7001', InvoiceClearingStatus: 'C' }],
+    GetSalesOrderB: [
+      { AccountingDocument: '95001', FiscalYear: '2025', SalesDocument: '3001', SalesDocumentItem: '10' },
+      { AccountingDocument: '95009', FiscalYear: '2025', SalesDocument: ' ', SalesDocumentItem: '10' }
+    ],
+    FilterSalesOrderItem: [{ SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF-3001-10' }],
+    FilterSalesOrderHeader: [{ SalesOrder: '3001', SoldToParty: 'C300' }]
+  });
+  const ctx = stages.createFetchContext({ odata, config, hostname: '', log: silent });
+
+  const billing = await stages.fetchScenarioBBillingDocuments(ctx, 'AEC1');
+  assert.equal(billing[0].CompanyCode, 'AEC1');
+  const documents = await stages.resolveScenarioBDocuments(ctx, 'AEC1', billing);
+  assert.equal(documents.length, 1);
+  const details = await stages.fetchSalesOrderDetails(ctx, documents.map(d => d.SalesDocument));
+
+  assert.deepEqual(stages.buildScenarioBRecords(documents, details), [{
+    CompanyCode: 'AEC1',
+    SalesOrder: '3001',
+    Customer: 'C300',
+    SalesOrderItem: { SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF-3001-10' },
+    AccountingDocument: '95001',
+    FiscalYear: '2025',
+    OriginalBillingDocument: '7001'
+  }]);
+});
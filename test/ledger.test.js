@@ -0,0 +1,86 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openLedger, ledgerKey } = require('../src/ledger');
+
+let dir;
+const logPath = () => path.join(dir, 'ledger.jsonl');
+const logLines = () => fs.readFileSync(logPath(), 'utf8').trim().split('\n');
+const rec = n => ({ CompanyCode: 'SAC1', AccountingDocument: String(90000 + n), FiscalYear: '2025', SalesOrder: '1001', SalesOrderItem: '10' });
+const delivery = { url: 'https://cpi/PrepaymentAutomation', payload: {}, status: 201, sourceCsv: 'a.csv' };
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-ledger-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('record and remove append one line each and survive a reopen', () => {
+  const ledger = openLedger(dir);
+  ledger.record(rec(1), delivery);
+  ledger.record(rec(2), delivery);
+  ledger.record(rec(1), delivery);
+  ledger.remove(ledgerKey(rec(2)));
+  assert.equal(logLines().length, 4);
+
+  const reopened = openLedger(dir);
+  assert.ok(reopened.has(rec(1)));
+  assert.ok(!reopened.has(rec(2)));
+  assert.equal(reopened.get(ledgerKey(rec(1))).deliveries, 2);
+});
+
+test('a torn last line is dropped before the next append', () => {
+  openLedger(dir).record(rec(1), delivery);
+  fs.appendFileSync(logPath(), '{"key":"SAC1|9');
+
+  const ledger = openLedger(dir);
+  ledger.record(rec(2), delivery);
+
+  assert.deepEqual(openLedger(dir).list().map(e => e.AccountingDocument), ['90001', '90002']);
+  assert.equal(logLines().length, 2);
+});
+
+test('a log with more stale than live lines is compacted on open', () => {
+  const ledger = openLedger(dir);
+  for (let i = 0; i < 1200; i++) ledger.record(rec(i % 100), delivery);
+  assert.equal(logLines().length, 1200);
+
+  assert.equal(openLedger(dir).list().length, 100);
+  assert.equal(logLines().length, 100);
+});
+
+test('a ledger.json of an earlier version is converted', () => {
+  const entry = { key: ledgerKey(rec(1)), ...rec(1), deliveries: 1 };
+  fs.writeFileSync(path.join(dir, 'ledger.json'), JSON.stringify({ version: 1, entries: { [entry.key]: entry } }));
+
+  const ledger = openLedger(dir);
+  assert.ok(ledger.has(rec(1)));
+  assert.ok(!fs.existsSync(path.join(dir, 'ledger.json')));
+  assert.equal(logLines().length, 1);
+});
+
+test('a read-only ledger neither converts, compacts nor records', () => {
+  const entry = { key: ledgerKey(rec(1)), ...rec(1), deliveries: 1 };
+  const legacy = JSON.stringify({ version: 1, entries: { [entry.key]: entry } });
+  fs.writeFileSync(path.join(dir, 'ledger.json'), legacy);
+
+  const ledger = openLedger(dir, { readOnly: true });
+  assert.ok(ledger.has(rec(1)));
+  assert.throws(() => ledger.record(rec(2), delivery), /read-only/);
+  assert.throws(() => ledger.remove(entry.key), /read-only/);
+  assert.equal(fs.readFileSync(path.join(dir, 'ledger.json'), 'utf8'), legacy);
+  assert.ok(!fs.existsSync(logPath()));
+
+  fs.rmSync(path.join(dir, 'ledger.json'));
+  const writable = openLedger(dir);
+  for (let i = 0; i < 1200; i++) writable.record(rec(i % 100), delivery);
+  fs.appendFileSync(logPath(), '{"key":"SAC1|9');
+  const before = fs.readFileSync(logPath(), 'utf8');
+
+  assert.equal(openLedger(dir, { readOnly: true }).list().length, 100);
+  assert.equal(fs.readFileSync(logPath(), 'utf8'), before);
+});
@@ -0,0 +1,208 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Local stand-in for the SAP/CPI endpoints the fetcher and the poster call.
+//
+//   const sap = await startMockSap({ paging: 'v4', pageSize: 2 });
+//   // config.yaml: hostname: sap.url, endpoints: /FilterSalesOrderHeader, /Flag, ...
+//   sap.failures.push({ endpoint: 'Flag', status: 503, times: 1 });
+//   ...
+//   await sap.close();
+//
+// GET endpoints serve the fixture table of the same name, filtered by $filter (eq/ne/lt/gt
+// combined with and/or and parentheses, as built by src/odataFilter.js), narrowed to $select and
+// split into pages: V2 `{ d: { results, __next } }` or V4 `{ value, @odata.nextLink }`. POSTs to
+// PrepaymentAutomation / PrepaymentAutomationB are recorded in `posts`.
+//
+// Run standalone with `node test/mockSap.js [port] [v2|v4]` to point a local config.yaml at it.
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'sap.json');
+const POST_ENDPOINTS = ['PrepaymentAutomation', 'PrepaymentAutomationB'];
+
+function loadFixtures() {
+  return JSON.parse(fs.readFileSync(FIXTURES, 'utf8'));
+}
+
+// ---- $filter evaluation -------------------------------------------------------------
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|'((?:[^']|'')*)'|([A-Za-z_][\w/]*)|(-?\d+(?:\.\d+)?))/y;
+  let m;
+  while (re.lastIndex < text.length && (m = re.exec(text))) {
+    if (m[1]) tokens.push({ type: '(' });
+    else if (m[2]) tokens.push({ type: ')' });
+    else if (m[3] !== undefined) tokens.push({ type: 'value', value: m[3].replace(/''/g, "'") });
+    else if (m[4]) tokens.push({ type: 'word', value: m[4] });
+    else tokens.push({ type: 'value', value: Number(m[5]) });
+  }
+  if (re.lastIndex < text.trimEnd().length) throw new Error(`Cannot parse $filter near: ${text.slice(re.lastIndex)}`);
+  return tokens;
+}
+
+const COMPARE = {
+  eq: (a, b) => String(a) === String(b),
+  ne: (a, b) => String(a) !== String(b),
+  lt: (a, b) => Number(a) < Number(b),
+  gt: (a, b) => Number(a) > Number(b)
+};
+
+/** Parse a $filter into a predicate over a row. */
+function parseFilter(text) {
+  const tokens = tokenize(text);
+  let i = 0;
+  const peekWord = w => tokens[i]?.type === 'word' && tokens[i].value === w;
+
+  function primary() {
+    if (tokens[i]?.type === '(') {
+      i++;
+      const inner = orExpr();
+      if (tokens[i++]?.type !== ')') throw new Error(`Missing ) in $filter: ${text}`);
+      return inner;
+    }
+    const field = tokens[i++];
+    const op = tokens[i++];
+    const value = tokens[i++];
+    if (field?.type !== 'word' || !COMPARE[op?.value] || value?.type !== 'value') {
+      throw new Error(`Unsupported $filter: ${text}`);
+    }
+    return row => COMPARE[op.value](row[field.value], value.value);
+  }
+  function andExpr() {
+    let left = primary();
+    while (peekWord('and')) {
+      i++;
+      const l = left, r = primary();
+      left = row => l(row) && r(row);
+    }
+    return left;
+  }
+  function orExpr() {
+    let left = andExpr();
+    while (peekWord('or')) {
+      i++;
+      const l = left, r = andExpr();
+      left = row => l(row) || r(row);
+    }
+    return left;
+  }
+
+  const predicate = orExpr();
+  if (i !== tokens.length) throw new Error(`Trailing tokens in $filter: ${text}`);
+  return predicate;
+}
+
+// ---- server ---------------------------------------------------------------------------
+
+function selectFields(row, select) {
+  // like the gateway: only the selected properties (plus the entity id) come back
+  if (!select) return row;
+  const fields = select.split(',').map(f => f.trim());
+  return Object.fromEntries(Object.entries(row).filter(([k]) => k === '__metadata' || fields.includes(k)));
+}
+
+function v4Entity(row) {
+  // V4 has no __metadata; the entity id travels as @odata.id
+  const { __metadata, ...rest } = row;
+  return __metadata?.id ? { '@odata.id': __metadata.id, ...rest } : rest;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {'v2'|'v4'} [opts.paging]     response shape for every GET endpoint
+ * @param {object} [opts.protocols]     per-endpoint override, e.g. { GetAccountingDocument: 'v2' }
+ * @param {number} [opts.pageSize]      rows per page
+ * @param {object} [opts.fixtures]      tables keyed by endpoint name (default: fixtures/sap.json)
+ * @param {number} [opts.port]          0 = any free port
+ */
+async function startMockSap({ paging = 'v2', protocols = {}, pageSize = 2, fixtures = loadFixtures(), port = 0 } = {}) {
+  const requests = [];
+  const posts = [];
+  // { endpoint, status, times (default 1, Infinity = always), retryAfter, match(body|query) }
+  const failures = [];
+
+  function injectedFailure(endpoint, subject) {
+    const f = failures.find(x => x.endpoint === endpoint && (x.times ?? 1) > 0 && (!x.match || x.match(subject)));
+    if (f) f.times = (f.times ?? 1) - 1;
+    return f;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const endpoint = url.pathname.replace(/^\//, '');
+      const query = Object.fromEntries(url.searchParams);
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, endpoint, query, body });
+
+      const send = (status, payload, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+      };
+
+      const failure = injectedFailure(endpoint, req.method === 'POST' ? body : query);
+      if (failure) {
+        const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+        return send(failure.status, { error: { message: `injected ${failure.status}` } }, headers);
+      }
+
+      if (req.method === 'POST') {
+        if (!POST_ENDPOINTS.includes(endpoint)) return send(404, { error: { message: `unknown endpoint ${endpoint}` } });
+        posts.push({ endpoint, body });
+        return send(200, { status: 'OK' });
+      }
+
+      const table = fixtures[endpoint];
+      if (!table) return send(404, { error: { message: `unknown endpoint ${endpoint}` } });
+      let rows;
+      try {
+        rows = query.$filter ? table.filter(parseFilter(query.$filter)) : table;
+      } catch (e) {
+        return send(400, { error: { message: e.message } });
+      }
+
+      const skip = Number(query.$skiptoken || 0);
+      const page = rows.slice(skip, skip + pageSize).map(row => selectFields(row, query.$select));
+      let next = null;
+      if (skip + pageSize < rows.length) {
+        const params = new URLSearchParams(url.searchParams);
+        params.set('$skiptoken', String(skip + pageSize));
+        next = `${url.pathname}?${params}`;
+      }
+
+      if ((protocols[endpoint] || paging) === 'v4') {
+        return send(200, { value: page.map(v4Entity), ...(next ? { '@odata.nextLink': next } : {}) });
+      }
+      return send(200, { d: { results: page, ...(next ? { __next: next } : {}) } });
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    posts,
+    failures,
+    /** GET requests to one endpoint. */
+    calls(endpoint) {
+      return requests.filter(r => r.method === 'GET' && r.endpoint === endpoint);
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockSap, parseFilter, loadFixtures };
+
+if (require.main === module) {
+  const [port = '8099', paging = 'v2'] = process.argv.slice(2);
+  startMockSap({ port: Number(port), paging }).then(sap => {
+    console.log(`Mock SAP/CPI (${paging}) listening on ${sap.url}`);
+    console.log('Use it as credentials.<env>.hostname with endpoints /FilterSalesOrderHeader, /Flag, ... /PrepaymentAutomation');
+  });
+}
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { sendNotifications, buildSummary } = require('../src/notify');
+const { createRunReport } = require('../src/runReport');
+
+// Channels post to a local server; /hang never answers to exercise the timeout
+let server;
+let url;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (req.url === '/hang') return;
+      res.writeHead(req.url === '/broken' ? 500 : 200).end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+function failedRun() {
+  const report = createRunReport({ runId: 'R1', command: 'run' });
+  report.recordPost('SAC1', { csv: 'a.csv', posted: 2, failed: 1, skipped: 0, failures: [{ AccountingDocument: '90002', status: 500, message: 'boom' }] });
+  report.recordPost('EGC1', { csv: 'b.csv', posted: 1, failed: 0, skipped: 3, failures: [] });
+  report.note('MAC1', 'not posted: InvoiceType=Paper');
+  return report.finish();
+}
+
+async function send(notifications, report = failedRun(), t) {
+  received.length = 0;
+  const errors = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+  await sendNotifications({ notifications }, report);
+  return errors;
+}
+
+test('webhook posts the summary with the configured headers', async t => {
+  const report = failedRun();
+  const errors = await send([{ type: 'webhook', url: `${url}/hook`, headers: { Authorization: 'Bearer abc' } }], report, t);
+
+  assert.deepEqual(errors, []);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers.authorization, 'Bearer abc');
+  assert.deepEqual(received[0].body, JSON.parse(JSON.stringify(buildSummary(report, []))));
+  assert.deepEqual(received[0].body.companies.map(c => c.CompanyCode), ['EGC1', 'MAC1', 'SAC1']);
+  assert.deepEqual(received[0].body.companies[2].failures, [{ AccountingDocument: '90002', status: 500 }]);
+});
+
+test('teams gets a MessageCard with one fact per company', async t => {
+  await send([{ type: 'teams', url: `${url}/teams` }], undefined, t);
+
+  const card = received[0].body;
+  assert.equal(card['@type'], 'MessageCard');
+  assert.equal(card.themeColor, 'D00000');
+  assert.equal(card.title, 'Prepayment collection run R1: FAILED');
+  assert.equal(card.text, '3 posted, 1 failed, 3 skipped');
+  assert.deepEqual(card.sections[0].facts, [
+    { name: 'EGC1', value: '1 posted, 0 failed, 3 skipped' },
+    { name: 'MAC1', value: 'not posted: InvoiceType=Paper' },
+    { name: 'SAC1', value: '2 posted, 1 failed (90002: 500), 0 skipped' }
+  ]);
+});
+
+test('slack gets a message with a coloured attachment and the alert reasons', async t => {
+  await send([{ type: 'slack', url: `${url}/slack`, alerts: { onFailure: true } }], undefined, t);
+
+  const message = received[0].body;
+  assert.equal(message.text, 'Prepayment collection run R1: FAILED');
+  assert.equal(message.attachments[0].color, 'danger');
+  assert.equal(message.attachments[0].text, '3 posted, 1 failed, 3 skipped\n1 record(s) failed to post');
+  assert.deepEqual(message.attachments[0].fields.map(f => f.title), ['EGC1', 'MAC1', 'SAC1']);
+});
+
+test('a channel whose alert rules do not fire is not called', async t => {
+  const report = createRunReport({ runId: 'R2', command: 'run' });
+  report.recordPost('SAC1', { csv: 'a.csv', posted: 1, failed: 0, skipped: 0, failures: [] });
+  await send([{ type: 'webhook', url: `${url}/hook`, alerts: { onFailure: true } }], report.finish(), t);
+  assert.equal(received.length, 0);
+});
+
+test('a slow or failing channel is logged and the next channel still gets the summary', async t => {
+  const start = Date.now();
+  const errors = await send([
+    { type: 'webhook', url: `${url}/hang`, timeoutMs: 200, name: 'slow hook' },
+    { type: 'webhook', url: `${url}/broken`, name: 'broken hook' },
+    { type: 'slack', url: `${url}/slack` }
+  ], undefined, t);
+
+  assert.ok(Date.now() - start < 5000, 'timeoutMs was not applied');
+  assert.deepEqual(received.map(r => r.path), ['/hang', '/broken', '/slack']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^Failed to notify slow hook: timeout of 200ms exceeded/);
+  assert.match(errors[1], /^Failed to notify broken hook \(HTTP 500\)/);
+});
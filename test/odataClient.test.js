@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createODataClient } = require('../src/odataClient');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+// Stand-in for the axios instance: answers each GET with the next outcome (an error is thrown).
+function fakeHttp(outcomes) {
+  const calls = [];
+  return {
+    calls,
+    get: async (url, config) => {
+      calls.push({ url, params: config?.params });
+      const next = outcomes[Math.min(calls.length, outcomes.length) - 1];
+      if (next instanceof Error) throw next;
+      return { data: next };
+    }
+  };
+}
+
+function retryWarnings(t) {
+  const warned = [];
+  t.mock.method(console, 'warn', msg => warned.push(msg));
+  return warned;
+}
+
+test('a Retry-After longer than maxDelayMs is capped', async t => {
+  const warned = retryWarnings(t);
+  const http = fakeHttp([httpError(429, { 'retry-after': '3600' }), { value: [{ id: 1 }] }]);
+  const client = createODataClient({ http, retry: { retries: 2, baseDelayMs: 1, maxDelayMs: 20 } });
+
+  const started = Date.now();
+  assert.deepEqual(await client.get('https://sap/Flag', null, { endpoint: 'Flag' }), { value: [{ id: 1 }] });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(http.calls.length, 2);
+  assert.match(warned[0], /^OData GET Flag failed \(429\), retry 1\/2 in 20 ms$/);
+});
+
+test('a Retry-After within maxDelayMs is honoured', async t => {
+  const warned = retryWarnings(t);
+  const http = fakeHttp([httpError(503, { 'retry-after': '0' }), { value: [] }]);
+  const client = createODataClient({ http, retry: { retries: 2, baseDelayMs: 1000, maxDelayMs: 20000 } });
+
+  await client.get('https://sap/Flag', null, { endpoint: 'Flag' });
+  assert.match(warned[0], /retry 1\/2 in 0 ms$/);
+});
+
+test('gives up after the configured retries with the last error', async t => {
+  const warned = retryWarnings(t);
+  const http = fakeHttp([httpError(503)]);
+  const client = createODataClient({ http, retry: { retries: 3, baseDelayMs: 1, maxDelayMs: 5 } });
+
+  await assert.rejects(client.get('https://sap/Flag', null, { endpoint: 'Flag' }), err => err.response.status === 503);
+  assert.equal(http.calls.length, 4);
+  assert.equal(warned.length, 3);
+});
+
+test('does not retry a non-retryable status', async t => {
+  const warned = retryWarnings(t);
+  const http = fakeHttp([httpError(404), { value: [] }]);
+  const client = createODataClient({ http, retry: { retries: 3, baseDelayMs: 1, maxDelayMs: 5 } });
+
+  await assert.rejects(client.get('https://sap/Flag'), err => err.response.status === 404);
+  assert.equal(http.calls.length, 1);
+  assert.equal(warned.length, 0);
+});
+
+test('getAll follows V2 and V4 next links', async () => {
+  const http = fakeHttp([
+    { d: { results: [{ id: 1 }], __next: 'Flag?$skiptoken=1' } },
+    { '@odata.nextLink': 'https://sap/svc/Flag?$skiptoken=2', value: [{ id: 2 }] },
+    { value: [{ id: 3 }] }
+  ]);
+  const client = createODataClient({ http });
+
+  assert.deepEqual(await client.getAll('https://sap/svc/Flag', { $top: 1 }), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  assert.deepEqual(http.calls.map(c => c.url), ['https://sap/svc/Flag', 'https://sap/svc/Flag?$skiptoken=1', 'https://sap/svc/Flag?$skiptoken=2']);
+  assert.deepEqual(http.calls[0].params, { $top: 1 });
+  assert.equal(http.calls[1].params, undefined);
+});
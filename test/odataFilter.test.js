@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { eq, ne, lt, gt, and, or, inList, literal, build } = require('../src/odataFilter');
+
+test('string literals double embedded quotes', () => {
+  assert.equal(literal("O'Brien"), "'O''Brien'");
+  assert.equal(literal("''"), "''''''");
+  assert.equal(build(eq('Customer', "x' or 1 eq 1 or 'a' eq 'a")), "Customer eq 'x'' or 1 eq 1 or ''a'' eq ''a'");
+});
+
+test('numbers, booleans and null are typed literals', () => {
+  assert.equal(literal(2025), '2025');
+  assert.equal(literal(-1.5), '-1.5');
+  assert.equal(literal(true), 'true');
+  assert.equal(literal(false), 'false');
+  assert.equal(literal(null), 'null');
+  assert.equal(literal('2025'), "'2025'", 'a numeric string stays a string');
+  assert.throws(() => literal(NaN), /Invalid OData number literal: NaN/);
+  assert.throws(() => literal(Infinity), /Invalid OData number literal/);
+  assert.throws(() => literal(undefined), /Unsupported OData literal type: undefined/);
+  assert.throws(() => literal({}), /Unsupported OData literal type: object/);
+});
+
+test('comparisons check the property name', () => {
+  assert.equal(build(ne('Statuscode', 'Paid')), "Statuscode ne 'Paid'");
+  assert.equal(build(lt('Amount', 0)), 'Amount lt 0');
+  assert.equal(build(gt('to_Item/Amount', 0)), 'to_Item/Amount gt 0');
+  assert.throws(() => eq("Name eq 'x' or Name", 'y'), /Invalid OData property name/);
+  assert.throws(() => eq('', 'y'), /Invalid OData property name/);
+});
+
+test('and/or parenthesise nested compound expressions only', () => {
+  assert.equal(build(and(eq('A', '1'), eq('B', '2'))), "A eq '1' and B eq '2'");
+  assert.equal(build(and(eq('A', '1'), or(eq('B', '2'), eq('C', '3')))), "A eq '1' and (B eq '2' or C eq '3')");
+  assert.equal(build(or(and(eq('A', '1'), eq('B', '2')), eq('C', '3'))), "(A eq '1' and B eq '2') or C eq '3'");
+  assert.equal(build(and(eq('A', '1'))), "A eq '1'", 'a single expression is not wrapped');
+  assert.equal(build(and([eq('A', '1'), null, eq('B', '2')])), "A eq '1' and B eq '2'", 'arrays are flattened and empty entries dropped');
+  assert.throws(() => and(), /and\(\) needs at least one expression/);
+  assert.throws(() => or("A eq '1'"), /or\(\) expects filter expressions, got string/);
+});
+
+test('inList becomes a parenthesised or-chain without duplicates', () => {
+  assert.equal(build(inList('AccountingDocument', ['1', '2', '1'])), "(AccountingDocument eq '1' or AccountingDocument eq '2')");
+  assert.equal(build(inList('AccountingDocument', ['1'])), "AccountingDocument eq '1'");
+  assert.equal(build(and(eq('CompanyCode', 'SAC1'), inList('Status', ['C', "A'B"]))),
+    "CompanyCode eq 'SAC1' and (Status eq 'C' or Status eq 'A''B')");
+  assert.throws(() => inList('Status', []), /inList\(Status\) needs at least one value/);
+});
+
+test('build only accepts filter expressions', () => {
+  assert.throws(() => build("A eq '1'"), /build\(\) expects a filter expression/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEntityKey, entityKeyOf } = require('../src/odataKey');
+
+test('parses V2 ids with quoted keys', () => {
+  assert.deepEqual(
+    parseEntityKey("https://host/sap/opu/odata/sap/API_SRV/A_Item(CompanyCode='SAC1',FiscalYear='2025',AccountingDocument='90001')"),
+    { CompanyCode: 'SAC1', FiscalYear: '2025', AccountingDocument: '90001' }
+  );
+});
+
+test('parses V4 ids with unquoted and percent-encoded keys', () => {
+  assert.deepEqual(parseEntityKey('A_Item(CompanyCode=%27SAC1%27,FiscalYear=2025)'), { CompanyCode: 'SAC1', FiscalYear: '2025' });
+  assert.deepEqual(parseEntityKey("A_Item(FiscalYear=2025)?$select=x"), { FiscalYear: '2025' });
+});
+
+test('handles escaped quotes, separators in values, type prefixes and single keys', () => {
+  assert.deepEqual(
+    parseEntityKey("E(Name='a(b),c''d=e',Posted=datetime'2025-01-01T00:00:00')"),
+    { Name: "a(b),c'd=e", Posted: '2025-01-01T00:00:00' }
+  );
+  assert.deepEqual(parseEntityKey("E('42')"), { '': '42' });
+});
+
+test('returns null when there is no key', () => {
+  for (const id of [undefined, '', 'E', 'E()', "E(A='open)", 'https://host/Entity']) {
+    assert.equal(parseEntityKey(id), null, String(id));
+  }
+});
+
+test('entityKeyOf reads V2 __metadata and V4 @odata annotations', () => {
+  assert.deepEqual(entityKeyOf({ __metadata: { uri: "E(FiscalYear='2024')" } }), { FiscalYear: '2024' });
+  assert.deepEqual(entityKeyOf({ '@odata.id': 'E(FiscalYear=2024)' }), { FiscalYear: '2024' });
+  assert.deepEqual(entityKeyOf({ '@odata.editLink': 'E(FiscalYear=2023)' }), { FiscalYear: '2023' });
+  assert.equal(entityKeyOf({ FiscalYear: '2025' }), null);
+});
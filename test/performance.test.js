@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePerformance, resolveODataRateLimits } = require('../src/performance');
+
+test('performance.overrides.<env> wins over the base settings', () => {
+  const perf = resolvePerformance({ env: 'QA', performance: { flagConcurrency: 8, overrides: { qa: { flagConcurrency: 4 } } } });
+  assert.equal(perf.flagConcurrency, 4);
+  assert.equal(perf.acctConcurrency, 12);
+});
+
+test('fetch pools set the rate limit of their endpoint unless one is configured', () => {
+  const config = { performance: { flagConcurrency: 20, acctConcurrency: 16 }, odata: { rateLimits: { Flag: { minIntervalMs: 50 } } } };
+  const { rateLimits, capped } = resolveODataRateLimits(config);
+  assert.deepEqual(rateLimits, {
+    Flag: { minIntervalMs: 50, maxConcurrent: 20 },
+    FilterSalesOrderItem: { maxConcurrent: 12 },
+    GetAccountingDocument: { maxConcurrent: 16 }
+  });
+  assert.deepEqual(capped, []);
+});
+
+test('an explicit maxConcurrent below the pool is kept and reported', () => {
+  const config = { performance: { flagConcurrency: 20 }, odata: { rateLimits: { default: { maxConcurrent: 12 }, Flag: { maxConcurrent: 6 } } } };
+  const { rateLimits, capped } = resolveODataRateLimits(config);
+  assert.deepEqual(rateLimits, { default: { maxConcurrent: 12 }, Flag: { maxConcurrent: 6 } });
+  assert.deepEqual(capped, ['performance.flagConcurrency (20) is capped at 6 by odata.rateLimits maxConcurrent for Flag']);
+});
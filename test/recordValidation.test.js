@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveValidationRules, validateRecords } = require('../src/recordValidation');
+const { toCsvRow } = require('../src/fetchStages');
+
+const record = (overrides = {}) => ({
+  CompanyCode: 'SAC1',
+  SalesOrder: '1001',
+  Customer: 'C100',
+  SalesOrderItem: { SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'a0B5g00000XyZ12AAB' },
+  AccountingDocument: '90001',
+  FiscalYear: '2025',
+  AccountingLines: 2,
+  AccountingTotal: 0,
+  ...overrides
+});
+
+const reasonsOf = (records, config = {}) =>
+  validateRecords(records, resolveValidationRules(config), toCsvRow).rejected.map(r => r.reasons);
+
+test('default rules accept a complete, balanced record', () => {
+  assert.deepEqual(reasonsOf([record()]), []);
+});
+
+test('default rules reject missing fields, FiscalYear and unbalanced lines', () => {
+  assert.deepEqual(reasonsOf([
+    record({ AccountingDocument: null, FiscalYear: null }),
+    record({ AccountingLines: 3 }),
+    record({ AccountingTotal: 5.5 }),
+    record({ FiscalYear: '25' })
+  ]), [
+    ['AccountingDocument is missing', 'FiscalYear is missing'],
+    ['GetAccountingDocument returned 3 lines instead of 2'],
+    ['accounting lines sum to 5.5 instead of 0'],
+    ['FiscalYear "25" is not a year']
+  ]);
+});
+
+test('balance check rejects unbalanced string amounts and a non-numeric total', async () => {
+  const { resolveAccountingDocuments, createFetchContext } = require('../src/fetchStages');
+  const lines = [
+    { AccountingDocument: '90001', AmountInTransactionCurrency: '100.00', FiscalYear: '2025' },
+    { AccountingDocument: '90001', AmountInTransactionCurrency: '-50.00', FiscalYear: '2025' }
+  ];
+  const odata = { getAll: async () => lines };
+  const ctx = createFetchContext({
+    odata,
+    config: { cpi: { endpoints: {} } },
+    hostname: '',
+    log: { log() {}, warn() {}, error() {} }
+  });
+  const [fetched] = await resolveAccountingDocuments(ctx, [{
+    CompanyCode: 'SAC1', SalesOrder: '1001', Customer: 'C100',
+    SalesOrderItems: [{ SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF' }]
+  }]);
+
+  assert.deepEqual(reasonsOf([fetched, record({ AccountingTotal: NaN })]), [
+    ['accounting lines sum to 50 instead of 0'],
+    ['accounting line amounts are not numeric']
+  ]);
+});
+
+test('Scenario B records (no accounting lines) skip the balance check', () => {
+  const { AccountingLines, AccountingTotal, ...b } = record({ OriginalBillingDocument: '7001' });
+  assert.deepEqual(reasonsOf([b]), []);
+});
+
+test('configured rules: required fields, Salesforce ID format, checks switched off', () => {
+  const config = {
+    validation: {
+      requiredFields: ['Customer'],
+      requireFiscalYear: false,
+      balanceCheck: false,
+      salesforceIdPattern: '^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$'
+    }
+  };
+  assert.deepEqual(reasonsOf([
+    record({ Customer: ' ', FiscalYear: null, AccountingLines: 1 }),
+    record({ SalesOrderItem: { SalesOrderItem: '10', YY1_SALESFORCEID_I_SDI: 'SF-1001-10' } })
+  ], config), [
+    ['Customer is missing'],
+    ['YY1_SALESFORCEID_I_SDI "SF-1001-10" does not match ^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$']
+  ]);
+});
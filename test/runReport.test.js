@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunReport, writeRunReport, renderEmailHtml } = require('../src/runReport');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-report-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const MESSAGE = '<script>alert("x")</script> Tom & Jerry\'s';
+
+// a report with markup in every free-text field that reaches the HTML
+function reportWithMarkup() {
+  const report = createRunReport({ runId: 'R&1', command: 'run' });
+  report.addFetchStats({ companies: { 'S&C1': { scenario: '<A>', step1: 2, step2: 2, step3: 2, step4: 2, filtered: { '<flag>': 1 } } } });
+  report.recordPost('S&C1', {
+    csv: 'a<b>.csv', posted: 1, failed: 2, skipped: 0, durationMs: 5,
+    failures: [{ AccountingDocument: '90002', status: 500, message: MESSAGE }, { AccountingDocument: null, line: 3, status: null, message: `line 3: ${MESSAGE}` }]
+  });
+  report.note('S&C1', `note with ${MESSAGE}`);
+  return report.finish();
+}
+
+test('the JSON report keeps the text as is', () => {
+  const { jsonPath } = writeRunReport(reportWithMarkup(), dir);
+  const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  assert.deepEqual(json.companies['S&C1'].notes, [`note with ${MESSAGE}`]);
+  assert.equal(json.companies['S&C1'].post.failures[0].message, MESSAGE);
+  assert.equal(json.status, 'failed');
+});
+
+test('the HTML report escapes notes, codes and every other value', () => {
+  const { htmlPath } = writeRunReport(reportWithMarkup(), dir);
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('Tom & Jerry'));
+  assert.ok(html.includes('<td>note with &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; Tom &amp; Jerry&#39;s</td>'));
+  assert.ok(html.includes('<td>S&amp;C1</td><td>&lt;A&gt;</td>'));
+  assert.ok(html.includes('<td>&lt;flag&gt;: 1</td>'));
+  assert.ok(html.includes('<title>Prepayment collection run R&amp;1</title>'));
+  // the only tags left are the report's own
+  const tags = new Set(html.match(/<\/?[a-z0-9!]+/gi).map(t => t.replace('/', '').toLowerCase()));
+  assert.deepEqual([...tags].sort(), ['<!doctype', '<body', '<h2', '<h3', '<head', '<html', '<meta', '<p', '<style', '<table', '<td', '<th', '<title', '<tr']);
+});
+
+test('a second report of the same run ID is numbered instead of overwritten', () => {
+  const first = writeRunReport(reportWithMarkup(), dir);
+  const second = writeRunReport(reportWithMarkup(), dir);
+  assert.equal(path.basename(first.jsonPath), 'RunReport_R&1.json');
+  assert.equal(path.basename(second.htmlPath), 'RunReport_R&1-2.html');
+});
+
+// text of the cells of each table row in an HTML fragment
+const rows = html => [...html.matchAll(/<tr>(.*?)<\/tr>/g)].map(([, row]) => [...row.matchAll(/<t[hd][^>]*>(.*?)<\/t[hd]>/g)].map(m => m[1]));
+
+// email body split at the company headings: { heading: fragment }
+function emailSections(html) {
+  const parts = html.split('<h3>').slice(1);
+  return Object.fromEntries(parts.map(part => [part.slice(0, part.indexOf('</h3>')), part]));
+}
+
+test('the email has one section per company with the numbers and failures of the report', () => {
+  const report = createRunReport({ runId: 'R1', command: 'run' });
+  report.addFetchStats({ companies: { SAC1: { scenario: 'A' }, AEC1: { scenario: 'B' } } });
+  report.recordPost('SAC1', {
+    csv: 'a.csv', posted: 2, failed: 3, skipped: 1,
+    failures: [
+      { AccountingDocument: '90002', status: 500, message: MESSAGE },
+      { AccountingDocument: '90003', status: null, message: 'socket hang up' },
+      { AccountingDocument: null, line: 4, status: null, message: 'line 4: expected 8 fields but got 9' }
+    ]
+  });
+  report.recordPost('AEC1', { csv: 'b.csv', posted: 1, failed: 0, skipped: 0, failures: [] });
+  report.note('MAC1', 'not posted: InvoiceType=Paper');
+  report.fail('EGC1: unreadable <CSV>');
+  const html = renderEmailHtml(report.finish(), { reasons: ['failure rate 60% > 50%'] });
+
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('FAILED'));
+  assert.ok(html.includes('3 posted, 3 failed, 1 skipped across 3 companies'));
+  assert.ok(html.includes('failure rate 60% &gt; 50%<br>EGC1: unreadable &lt;CSV&gt;'));
+
+  const sections = emailSections(html);
+  assert.deepEqual(Object.keys(sections), ['AEC1 (Scenario B)', 'MAC1', 'SAC1 (Scenario A)']);
+  assert.deepEqual(rows(sections['SAC1 (Scenario A)']), [
+    ['CSV', 'Posted', 'Failed', 'Skipped'],
+    ['a.csv', '2', '3', '1'],
+    ['Failed AccountingDocument', 'HTTP status', 'Error'],
+    ['90002', '500', '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; Tom &amp; Jerry&#39;s'],
+    ['90003', 'no response', 'socket hang up'],
+    ['CSV line 4', 'malformed row', 'line 4: expected 8 fields but got 9']
+  ]);
+  assert.deepEqual(rows(sections['AEC1 (Scenario B)']), [['CSV', 'Posted', 'Failed', 'Skipped'], ['b.csv', '1', '0', '0']]);
+  assert.deepEqual(rows(sections.MAC1), []);
+  assert.ok(sections.MAC1.includes('<p>not posted: InvoiceType=Paper</p>'));
+});
+
+test('a dry-run email shows the records that would be posted', () => {
+  const report = createRunReport({ runId: 'R2', command: 'post', dryRun: true });
+  report.recordPost('SAC1', { csv: 'a.csv', wouldPost: 4, skipped: 2 });
+  const html = renderEmailHtml(report.finish());
+
+  assert.ok(html.includes('SUCCESS (dry run)'));
+  assert.deepEqual(rows(emailSections(html).SAC1), [['CSV', 'Would post', 'Skipped'], ['a.csv', '4', '2']]);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const secrets = require('../src/secrets');
+const { loadConfig } = require('../src/config');
+
+const values = { cpi_password: 'p@ss: "word"', smtp: 'mail-secret' };
+
+test('secrets round-trip through AES-256-GCM with a fresh salt and IV', () => {
+  const envelope = secrets.encryptSecrets(values, 'correct horse');
+  assert.equal(envelope.alg, 'aes-256-gcm');
+  assert.ok(!envelope.data.includes(Buffer.from('mail-secret').toString('base64')));
+  assert.deepEqual(secrets.decryptSecrets(envelope, 'correct horse'), values);
+
+  const again = secrets.encryptSecrets(values, 'correct horse');
+  assert.notEqual(again.salt, envelope.salt);
+  assert.notEqual(again.iv, envelope.iv);
+});
+
+test('a wrong key or tampered data cannot be decrypted', () => {
+  const envelope = secrets.encryptSecrets(values, 'correct horse');
+  assert.throws(() => secrets.decryptSecrets(envelope, 'battery staple'), /cannot decrypt secrets file \(wrong PREPAY_SECRETS_KEY\?\)/);
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => secrets.decryptSecrets({ ...envelope, data: data.toString('base64') }, 'correct horse'), /cannot decrypt/);
+
+  const tag = Buffer.from(envelope.tag, 'base64');
+  tag[0] ^= 1;
+  assert.throws(() => secrets.decryptSecrets({ ...envelope, tag: tag.toString('base64') }, 'correct horse'), /cannot decrypt/);
+
+  assert.throws(() => secrets.decryptSecrets({ ...envelope, version: 2 }, 'correct horse'), /unsupported secrets file format/);
+});
+
+test('readSecretsFile needs the key variable and the file', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-secrets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'secrets.enc');
+
+  assert.throws(() => secrets.readSecretsFile(file, {}), /PREPAY_SECRETS_KEY is not set/);
+  assert.throws(() => secrets.readSecretsFile(file, { PREPAY_SECRETS_KEY: 'k' }), /secrets file not found/);
+  fs.writeFileSync(file, JSON.stringify(secrets.encryptSecrets(values, 'k')));
+  assert.deepEqual(secrets.readSecretsFile(file, { PREPAY_SECRETS_KEY: 'k' }), values);
+});
+
+test('placeholders are resolved in place and unresolved ones are reported by path', () => {
+  const config = {
+    credentials: { prd: { username: '${env:CPI_USER}', password: '${secret:cpi_password}' } },
+    headers: ['Bearer ${secret:missing}', 'x-${env:CPI_USER}-${env:CPI_REGION}'],
+    port: 587
+  };
+  const problems = [];
+  secrets.resolvePlaceholders(config, { env: { CPI_USER: 'svc' }, secrets: values }, '', problems);
+
+  assert.deepEqual(config, {
+    credentials: { prd: { username: 'svc', password: 'p@ss: "word"' } },
+    headers: ['Bearer ${secret:missing}', 'x-svc-${env:CPI_REGION}'],
+    port: 587
+  });
+  assert.deepEqual(problems, [
+    'headers[0]: secret missing is not set',
+    'headers[1]: environment variable CPI_REGION is not set'
+  ]);
+  assert.equal(secrets.hasSecretPlaceholders({ a: ['${secret:x}'] }), true);
+  assert.equal(secrets.hasSecretPlaceholders({ a: ['${env:x}'] }), false);
+});
+
+test('loadConfig unlocks secretsFile for ${secret:…} placeholders', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prepay-secrets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'vault.enc'), JSON.stringify(secrets.encryptSecrets(values, 'k')));
+  const endpoints = ['FilterSalesOrderHeader', 'FilterSalesOrderItem', 'GetAccountingDocument', 'Flag', 'ScenarioB', 'GetSalesOrderB', 'PrepaymentAutomation'];
+  fs.writeFileSync(path.join(dir, 'config.yaml'), yaml.dump({
+    env: 'PRD',
+    secretsFile: 'vault.enc',
+    credentials: { prd: { username: '${env:CPI_USER}', password: '${secret:cpi_password}', hostname: 'https://sap' } },
+    cpi: { endpoints: Object.fromEntries(endpoints.map(e => [e, `/${e}`])) }
+  }));
+
+  const config = loadConfig(path.join(dir, 'config.yaml'), { PREPAY_SECRETS_KEY: 'k', CPI_USER: 'svc' });
+  assert.equal(config.credentials.prd.username, 'svc');
+  assert.equal(config.credentials.prd.password, 'p@ss: "word"');
+
+  assert.throws(() => loadConfig(path.join(dir, 'config.yaml'), { PREPAY_SECRETS_KEY: 'wrong', CPI_USER: 'svc' }),
+    /secretsFile: cannot decrypt secrets file/);
+});